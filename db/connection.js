@@ -0,0 +1,28 @@
+import { DatabaseSync } from "node:sqlite";
+import { existsSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+
+// Database file path - use environment variable or default to local file
+export const DB_PATH = process.env.DATABASE_PATH || "./data/app.db";
+
+/**
+ * Open the SQLite database (creating its directory if needed) with the app's settings
+ */
+export function openDatabase(path) {
+  // Ensure the directory exists
+  const dbDir = dirname(path);
+  if (dbDir !== "." && !existsSync(dbDir)) {
+    mkdirSync(dbDir, { recursive: true });
+  }
+
+  const database = new DatabaseSync(path);
+
+  // Enable WAL mode for better concurrent access performance
+  database.exec("PRAGMA journal_mode = WAL");
+  database.exec("PRAGMA synchronous = NORMAL");
+  database.exec("PRAGMA foreign_keys = ON");
+  // Several server processes may share the file: wait for their writes instead of failing
+  database.exec("PRAGMA busy_timeout = 5000");
+
+  return database;
+}
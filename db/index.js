@@ -1,68 +1,21 @@
-import { DatabaseSync } from "node:sqlite";
-import { existsSync, mkdirSync } from "node:fs";
-import { dirname } from "node:path";
 import { randomUUID } from "node:crypto";
+import { DECKS, DEFAULT_DECK_TYPE } from "../lib/decks.js";
+import { DB_PATH, openDatabase } from "./connection.js";
+import { migrate } from "./migrate.js";
 
-// Database file path - use environment variable or default to local file
-const DB_PATH = process.env.DATABASE_PATH || "./data/app.db";
+// Initialize the SQLite database
+const database = openDatabase(DB_PATH);
 
-// Ensure the directory exists
-const dbDir = dirname(DB_PATH);
-if (dbDir !== "." && !existsSync(dbDir)) {
-  mkdirSync(dbDir, { recursive: true });
+// Bring the schema up to date before any statement is prepared
+for (const migration of migrate(database)) {
+  console.log(`[db] Applied migration ${migration.version} (${migration.name})`);
 }
 
-// Initialize the SQLite database
-const database = new DatabaseSync(DB_PATH);
-
-// Enable WAL mode for better concurrent access performance
-database.exec("PRAGMA journal_mode = WAL");
-database.exec("PRAGMA synchronous = NORMAL");
-database.exec("PRAGMA foreign_keys = ON");
-
-// Create the rooms table
-database.exec(`
-  CREATE TABLE IF NOT EXISTS rooms (
-    id TEXT PRIMARY KEY,
-    task_title TEXT NOT NULL,
-    task_description TEXT,
-    admin_token TEXT NOT NULL,
-    admin_name TEXT NOT NULL,
-    revealed INTEGER DEFAULT 0,
-    created_at INTEGER DEFAULT (unixepoch()),
-    updated_at INTEGER DEFAULT (unixepoch())
-  )
-`);
-
-// Create the room_members table
-database.exec(`
-  CREATE TABLE IF NOT EXISTS room_members (
-    id TEXT PRIMARY KEY,
-    room_id TEXT NOT NULL,
-    session_id TEXT,
-    socket_id TEXT,
-    name TEXT NOT NULL,
-    point TEXT,
-    connected INTEGER DEFAULT 1,
-    joined_at INTEGER DEFAULT (unixepoch()),
-    FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
-    UNIQUE(room_id, name)
-  )
-`);
-
-// Create indexes for better query performance
-database.exec(`
-  CREATE INDEX IF NOT EXISTS idx_room_members_room_id ON room_members(room_id);
-  CREATE INDEX IF NOT EXISTS idx_room_members_session_id ON room_members(session_id);
-  CREATE INDEX IF NOT EXISTS idx_room_members_socket_id ON room_members(socket_id);
-  CREATE INDEX IF NOT EXISTS idx_rooms_created_at ON rooms(created_at);
-`);
-
 // ============== Room Operations ==============
 
 const insertRoomStmt = database.prepare(`
-  INSERT INTO rooms (id, task_title, task_description, admin_token, admin_name, revealed, created_at, updated_at)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO rooms (id, task_title, task_description, admin_token, admin_name, deck_type, deck, revealed, created_at, expires_at, auto_reveal, countdown_seconds, allow_revotes, passcode_hash, invite_code, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 const selectRoomStmt = database.prepare(`
@@ -77,15 +30,35 @@ const deleteRoomStmt = database.prepare(`
   DELETE FROM rooms WHERE id = ?
 `);
 
+const updateRoomExpiresAtStmt = database.prepare(`
+  UPDATE rooms SET expires_at = ?, updated_at = unixepoch() WHERE id = ?
+`);
+
+const updateRoomGraceUsedStmt = database.prepare(`
+  UPDATE rooms SET grace_used = 1, updated_at = unixepoch() WHERE id = ?
+`);
+
+const updateRoomSettingsStmt = database.prepare(`
+  UPDATE rooms SET auto_reveal = ?, countdown_seconds = ?, allow_revotes = ?, updated_at = unixepoch() WHERE id = ?
+`);
+
+const updateRoomInviteCodeStmt = database.prepare(`
+  UPDATE rooms SET invite_code = ?, updated_at = unixepoch() WHERE id = ?
+`);
+
+const selectExpiringRoomsStmt = database.prepare(`
+  SELECT id, expires_at FROM rooms WHERE expires_at > ? AND expires_at <= ?
+`);
+
 const selectExpiredRoomsStmt = database.prepare(`
-  SELECT id FROM rooms WHERE created_at < ?
+  SELECT id FROM rooms WHERE expires_at <= ?
 `);
 
 // ============== Room Member Operations ==============
 
 const insertMemberStmt = database.prepare(`
-  INSERT INTO room_members (id, room_id, session_id, socket_id, name, point, connected, joined_at)
-  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  INSERT INTO room_members (id, room_id, session_id, socket_id, name, point, connected, role, room_role, joined_at, connected_at, server_id, source)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
 `);
 
 const selectMembersByRoomStmt = database.prepare(`
@@ -113,11 +86,22 @@ const updateMemberConnectionStmt = database.prepare(`
 `);
 
 const updateMemberSocketStmt = database.prepare(`
-  UPDATE room_members SET socket_id = ?, session_id = ?, connected = ? WHERE id = ?
+  UPDATE room_members
+  SET socket_id = ?, session_id = ?, connected = ?, server_id = ?,
+      connected_at = CASE WHEN ? = 1 THEN unixepoch() ELSE connected_at END
+  WHERE id = ?
+`);
+
+const updateMemberRoomRoleStmt = database.prepare(`
+  UPDATE room_members SET room_role = ? WHERE id = ?
+`);
+
+const updateRevealedPointsStmt = database.prepare(`
+  UPDATE room_members SET revealed_point = point WHERE room_id = ?
 `);
 
 const resetAllMemberPointsStmt = database.prepare(`
-  UPDATE room_members SET point = NULL WHERE room_id = ?
+  UPDATE room_members SET point = NULL, revealed_point = NULL WHERE room_id = ?
 `);
 
 const deleteMemberStmt = database.prepare(`
@@ -136,16 +120,200 @@ const countMembersStmt = database.prepare(`
   SELECT COUNT(*) as count FROM room_members WHERE room_id = ?
 `);
 
+// Connected members whose server process stopped checking in
+const selectOrphanedMembersStmt = database.prepare(`
+  SELECT * FROM room_members m
+  WHERE m.connected = 1
+    AND NOT EXISTS (SELECT 1 FROM servers s WHERE s.id = m.server_id AND s.seen_at > ?)
+`);
+
+// ============== Room Story Operations ==============
+
+const insertStoryStmt = database.prepare(`
+  INSERT INTO room_stories (id, room_id, title, description, position, status, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+
+const selectStoriesByRoomStmt = database.prepare(`
+  SELECT * FROM room_stories WHERE room_id = ? ORDER BY position ASC
+`);
+
+const selectMaxStoryPositionStmt = database.prepare(`
+  SELECT MAX(position) as position FROM room_stories WHERE room_id = ?
+`);
+
+const selectStoryStmt = database.prepare(`
+  SELECT * FROM room_stories WHERE id = ?
+`);
+
+const selectActiveStoryStmt = database.prepare(`
+  SELECT * FROM room_stories WHERE room_id = ? AND status = 'active'
+`);
+
+const selectNextPendingStoryStmt = database.prepare(`
+  SELECT * FROM room_stories WHERE room_id = ? AND status = 'pending' ORDER BY position ASC LIMIT 1
+`);
+
+const updateStoryPositionStmt = database.prepare(`
+  UPDATE room_stories SET position = ? WHERE id = ? AND room_id = ?
+`);
+
+const updateStoryStatusStmt = database.prepare(`
+  UPDATE room_stories SET status = ? WHERE id = ?
+`);
+
+const updateStoryEstimateStmt = database.prepare(`
+  UPDATE room_stories SET estimate = ? WHERE id = ? AND room_id = ?
+`);
+
+const updateStoryResultStmt = database.prepare(`
+  UPDATE room_stories SET result = ? WHERE id = ?
+`);
+
+// ============== Round History Operations ==============
+
+const insertRoundStmt = database.prepare(`
+  INSERT INTO room_rounds (id, room_id, story_id, story_title, round_number, votes, average, revealed_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
+const selectRoundsByRoomStmt = database.prepare(`
+  SELECT * FROM room_rounds WHERE room_id = ? ORDER BY revealed_at ASC, rowid ASC
+`);
+
+const countRoundsByStoryStmt = database.prepare(`
+  SELECT COUNT(*) as count FROM room_rounds WHERE room_id = ? AND story_id IS ?
+`);
+
+// ============== Room Ban Operations ==============
+
+const insertBanStmt = database.prepare(`
+  INSERT OR IGNORE INTO room_bans (room_id, session_id, name, banned_at)
+  VALUES (?, ?, ?, ?)
+`);
+
+const selectBanStmt = database.prepare(`
+  SELECT 1 FROM room_bans WHERE room_id = ? AND session_id = ?
+`);
+
+// ============== Audit Log Operations ==============
+
+const insertAuditEventStmt = database.prepare(`
+  INSERT INTO room_audit_log (room_id, type, actor, session_id, details, created_at)
+  VALUES (?, ?, ?, ?, ?, ?)
+`);
+
+const selectAuditLogByRoomStmt = database.prepare(`
+  SELECT * FROM room_audit_log WHERE room_id = ? ORDER BY id ASC
+`);
+
+const deleteAuditLogByRoomStmt = database.prepare(`
+  DELETE FROM room_audit_log WHERE room_id = ?
+`);
+
+const deleteOrphanedAuditEventsStmt = database.prepare(`
+  DELETE FROM room_audit_log WHERE room_id NOT IN (SELECT id FROM rooms)
+`);
+
+// ============== Session Operations ==============
+
+const selectSessionStmt = database.prepare(`
+  SELECT data FROM sessions WHERE sid = ? AND expires_at > ?
+`);
+
+const upsertSessionStmt = database.prepare(`
+  INSERT INTO sessions (sid, data, expires_at) VALUES (?, ?, ?)
+  ON CONFLICT(sid) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at
+`);
+
+const updateSessionExpiryStmt = database.prepare(`
+  UPDATE sessions SET expires_at = ? WHERE sid = ?
+`);
+
+const deleteSessionStmt = database.prepare(`
+  DELETE FROM sessions WHERE sid = ?
+`);
+
+const deleteSessionRoomStmt = database.prepare(`
+  UPDATE sessions SET data = json_remove(data, '$.rooms."' || ? || '"') WHERE sid = ?
+`);
+
+const deleteExpiredSessionsStmt = database.prepare(`
+  DELETE FROM sessions WHERE expires_at <= ?
+`);
+
+// ============== Cluster Operations ==============
+
+const upsertServerStmt = database.prepare(`
+  INSERT INTO servers (id, seen_at) VALUES (?, ?)
+  ON CONFLICT(id) DO UPDATE SET seen_at = excluded.seen_at
+`);
+
+const deleteStaleServersStmt = database.prepare(`
+  DELETE FROM servers WHERE seen_at <= ?
+`);
+
+// Take a lock that is free, expired or already ours
+const acquireLockStmt = database.prepare(`
+  INSERT INTO locks (name, owner, expires_at) VALUES (?, ?, ?)
+  ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+  WHERE locks.expires_at <= ? OR locks.owner = excluded.owner
+`);
+
+const deleteLockStmt = database.prepare(`
+  DELETE FROM locks WHERE name = ? AND owner = ?
+`);
+
+const upsertTimerStmt = database.prepare(`
+  INSERT INTO timers (key, type, room_id, session_id, member_id, due_at) VALUES (?, ?, ?, ?, ?, ?)
+  ON CONFLICT(key) DO UPDATE SET
+    type = excluded.type, room_id = excluded.room_id, session_id = excluded.session_id,
+    member_id = excluded.member_id, due_at = excluded.due_at
+`);
+
+const selectTimerStmt = database.prepare(`
+  SELECT * FROM timers WHERE key = ?
+`);
+
+const deleteTimerStmt = database.prepare(`
+  DELETE FROM timers WHERE key = ?
+`);
+
+// Claim due timers: the delete makes sure only one process runs each of them
+const takeDueTimersStmt = database.prepare(`
+  DELETE FROM timers WHERE due_at <= ? RETURNING *
+`);
+
+const insertClusterMessageStmt = database.prepare(`
+  INSERT INTO cluster_messages (sender, recipient, payload, created_at) VALUES (?, ?, ?, ?)
+`);
+
+const selectClusterMessagesStmt = database.prepare(`
+  SELECT * FROM cluster_messages WHERE id > ? ORDER BY id ASC
+`);
+
+const selectLatestClusterMessageIdStmt = database.prepare(`
+  SELECT MAX(id) as id FROM cluster_messages
+`);
+
+const deleteOldClusterMessagesStmt = database.prepare(`
+  DELETE FROM cluster_messages WHERE created_at < ?
+`);
+
 // ============== Room Functions ==============
 
 /**
  * Create a new room
  */
-function createRoom({ taskTitle, taskDescription, adminToken, adminName }) {
+function createRoom({ taskTitle, taskDescription, adminToken, adminName, deckType = DEFAULT_DECK_TYPE, deck = DECKS[DEFAULT_DECK_TYPE].cards, durationMs, autoReveal = false, countdownSeconds = 0, allowRevotes = false, passcodeHash = null, inviteCode = null }) {
   const id = randomUUID();
   const now = Math.floor(Date.now() / 1000);
+  const expiresAt = now + Math.floor(durationMs / 1000);
   
-  insertRoomStmt.run(id, taskTitle, taskDescription || null, adminToken, adminName, 0, now, now);
+  insertRoomStmt.run(id, taskTitle, taskDescription || null, adminToken, adminName, deckType, JSON.stringify(deck), 0, now, expiresAt, autoReveal ? 1 : 0, countdownSeconds, allowRevotes ? 1 : 0, passcodeHash, inviteCode, now);
+
+  // The initial task becomes the first (active) story of the backlog
+  const story = insertStory(id, { title: taskTitle, description: taskDescription }, 0, "active");
   
   return {
     id,
@@ -153,9 +321,19 @@ function createRoom({ taskTitle, taskDescription, adminToken, adminName }) {
     taskDescription: taskDescription || null,
     adminToken,
     adminName,
+    deckType,
+    deck,
     revealed: false,
     createdAt: now * 1000, // Convert back to milliseconds for compatibility
-    members: []
+    expiresAt: expiresAt * 1000,
+    autoReveal,
+    countdownSeconds,
+    allowRevotes,
+    passcodeHash,
+    inviteCode,
+    members: [],
+    stories: [story],
+    currentStoryId: story.id
   };
 }
 
@@ -167,24 +345,30 @@ function getRoom(roomId) {
   if (!room) return null;
   
   const members = selectMembersByRoomStmt.all(roomId);
+  const stories = selectStoriesByRoomStmt.all(roomId).map(mapStory);
+  const currentStory = stories.find(s => s.status === "active") || null;
   
   return {
     id: room.id,
-    taskTitle: room.task_title,
-    taskDescription: room.task_description,
+    // The current story drives the task shown to members; fall back to the room's original task
+    taskTitle: currentStory ? currentStory.title : room.task_title,
+    taskDescription: currentStory ? currentStory.description : room.task_description,
     adminToken: room.admin_token,
     adminName: room.admin_name,
+    deckType: room.deck_type || DEFAULT_DECK_TYPE,
+    deck: room.deck ? JSON.parse(room.deck) : DECKS[DEFAULT_DECK_TYPE].cards,
     revealed: Boolean(room.revealed),
     createdAt: room.created_at * 1000, // Convert to milliseconds
-    members: members.map(m => ({
-      id: m.id,
-      sessionId: m.session_id,
-      socketId: m.socket_id,
-      name: m.name,
-      point: m.point !== null ? (isNaN(Number(m.point)) ? m.point : Number(m.point)) : null,
-      connected: Boolean(m.connected),
-      joinedAt: m.joined_at * 1000
-    }))
+    expiresAt: room.expires_at * 1000,
+    graceUsed: Boolean(room.grace_used),
+    autoReveal: Boolean(room.auto_reveal),
+    countdownSeconds: room.countdown_seconds || 0,
+    allowRevotes: Boolean(room.allow_revotes),
+    passcodeHash: room.passcode_hash,
+    inviteCode: room.invite_code,
+    members: members.map(mapMember),
+    stories,
+    currentStoryId: currentStory ? currentStory.id : null
   };
 }
 
@@ -196,32 +380,114 @@ function setRoomRevealed(roomId, revealed) {
 }
 
 /**
- * Delete a room and all its members
+ * Delete a room with all its members and its activity log
  */
 function deleteRoom(roomId) {
-  // Members are deleted via CASCADE
+  // Members are deleted via CASCADE; the audit log has no foreign key
   deleteRoomStmt.run(roomId);
+  deleteAuditLogByRoomStmt.run(roomId);
+}
+
+/**
+ * Set when a room expires (milliseconds timestamp)
+ */
+function setRoomExpiresAt(roomId, expiresAt) {
+  updateRoomExpiresAtStmt.run(Math.floor(expiresAt / 1000), roomId);
+}
+
+/**
+ * Update a room's voting settings (auto-reveal, default countdown in seconds, revotes after reveal)
+ */
+function setRoomSettings(roomId, { autoReveal, countdownSeconds, allowRevotes }) {
+  updateRoomSettingsStmt.run(autoReveal ? 1 : 0, countdownSeconds, allowRevotes ? 1 : 0, roomId);
+}
+
+/**
+ * Replace a room's invite code (links with the old code stop working)
+ */
+function setRoomInviteCode(roomId, inviteCode) {
+  updateRoomInviteCodeStmt.run(inviteCode, roomId);
 }
 
 /**
- * Get all expired rooms (older than specified milliseconds)
+ * Record that a room already got its one-time expiry grace period
  */
-function getExpiredRooms(maxAgeMs) {
-  const cutoffTime = Math.floor((Date.now() - maxAgeMs) / 1000);
-  return selectExpiredRoomsStmt.all(cutoffTime).map(r => r.id);
+function markRoomGraceUsed(roomId) {
+  updateRoomGraceUsedStmt.run(roomId);
+}
+
+/**
+ * Get rooms that will expire within the given milliseconds
+ */
+function getExpiringRooms(withinMs) {
+  const now = Math.floor(Date.now() / 1000);
+  const cutoffTime = Math.floor((Date.now() + withinMs) / 1000);
+  return selectExpiringRoomsStmt.all(now, cutoffTime).map(r => ({
+    id: r.id,
+    expiresAt: r.expires_at * 1000
+  }));
+}
+
+/**
+ * Get all rooms whose lifetime is over
+ */
+function getExpiredRooms() {
+  const now = Math.floor(Date.now() / 1000);
+  return selectExpiredRoomsStmt.all(now).map(r => r.id);
 }
 
 // ============== Member Functions ==============
 
 /**
- * Add a member to a room
+ * Encode a vote for the point column. Votes are stored as JSON so numbers
+ * and special cards ("?", "XL", "☕") round-trip with their original type.
+ */
+function encodePoint(point) {
+  return point !== null && point !== undefined ? JSON.stringify(point) : null;
+}
+
+/**
+ * Decode a vote from the point column (falls back to the raw text for legacy rows)
+ */
+function decodePoint(point) {
+  if (point === null) return null;
+  try {
+    return JSON.parse(point);
+  } catch {
+    return point;
+  }
+}
+
+/**
+ * Map a room_members row to a member object
+ */
+function mapMember(member) {
+  return {
+    id: member.id,
+    sessionId: member.session_id,
+    socketId: member.socket_id,
+    name: member.name,
+    point: decodePoint(member.point),
+    revealedPoint: decodePoint(member.revealed_point),
+    connected: Boolean(member.connected),
+    roomRole: member.room_role,
+    isAdmin: member.room_role !== "member",
+    role: member.role,
+    source: member.source,
+    joinedAt: member.joined_at * 1000,
+    connectedAt: member.connected_at !== null ? member.connected_at * 1000 : null
+  };
+}
+
+/**
+ * Add a member to a room (source is "web", or "api" for members who joined over the REST API)
  */
-function addMember(roomId, { sessionId, socketId, name, point = null, connected = true }) {
+function addMember(roomId, { sessionId, socketId, name, point = null, connected = true, role = "voter", roomRole = "member", serverId = null, source = "web" }) {
   const id = randomUUID();
   const now = Math.floor(Date.now() / 1000);
   
   try {
-    insertMemberStmt.run(id, roomId, sessionId || null, socketId || null, name, point !== null ? String(point) : null, connected ? 1 : 0, now);
+    insertMemberStmt.run(id, roomId, sessionId || null, socketId || null, name, encodePoint(point), connected ? 1 : 0, role, roomRole, now, connected ? now : null, serverId, source);
     
     return {
       id,
@@ -229,8 +495,14 @@ function addMember(roomId, { sessionId, socketId, name, point = null, connected
       socketId,
       name,
       point,
+      revealedPoint: null,
       connected,
-      joinedAt: now * 1000
+      roomRole,
+      isAdmin: roomRole !== "member",
+      role,
+      source,
+      joinedAt: now * 1000,
+      connectedAt: connected ? now * 1000 : null
     };
   } catch (error) {
     // Handle unique constraint violation (member with same name already exists)
@@ -248,15 +520,7 @@ function getMemberBySession(roomId, sessionId) {
   const member = selectMemberBySessionStmt.get(roomId, sessionId);
   if (!member) return null;
   
-  return {
-    id: member.id,
-    sessionId: member.session_id,
-    socketId: member.socket_id,
-    name: member.name,
-    point: member.point !== null ? (isNaN(Number(member.point)) ? member.point : Number(member.point)) : null,
-    connected: Boolean(member.connected),
-    joinedAt: member.joined_at * 1000
-  };
+  return mapMember(member);
 }
 
 /**
@@ -266,15 +530,7 @@ function getMemberByName(roomId, name) {
   const member = selectMemberByNameStmt.get(roomId, name);
   if (!member) return null;
   
-  return {
-    id: member.id,
-    sessionId: member.session_id,
-    socketId: member.socket_id,
-    name: member.name,
-    point: member.point !== null ? (isNaN(Number(member.point)) ? member.point : Number(member.point)) : null,
-    connected: Boolean(member.connected),
-    joinedAt: member.joined_at * 1000
-  };
+  return mapMember(member);
 }
 
 /**
@@ -284,22 +540,14 @@ function getMemberBySocket(roomId, socketId) {
   const member = selectMemberBySocketStmt.get(roomId, socketId);
   if (!member) return null;
   
-  return {
-    id: member.id,
-    sessionId: member.session_id,
-    socketId: member.socket_id,
-    name: member.name,
-    point: member.point !== null ? (isNaN(Number(member.point)) ? member.point : Number(member.point)) : null,
-    connected: Boolean(member.connected),
-    joinedAt: member.joined_at * 1000
-  };
+  return mapMember(member);
 }
 
 /**
  * Update member's vote
  */
 function updateMemberPoint(memberId, point) {
-  updateMemberPointStmt.run(point !== null ? String(point) : null, memberId);
+  updateMemberPointStmt.run(encodePoint(point), memberId);
 }
 
 /**
@@ -310,10 +558,24 @@ function updateMemberConnection(memberId, socketId, connected) {
 }
 
 /**
- * Update member's socket and session info (for reconnection)
+ * Update member's socket and session info (for reconnection), and the server process holding the socket
  */
-function updateMemberSocket(memberId, socketId, sessionId, connected) {
-  updateMemberSocketStmt.run(socketId, sessionId, connected ? 1 : 0, memberId);
+function updateMemberSocket(memberId, socketId, sessionId, connected, serverId = null) {
+  updateMemberSocketStmt.run(socketId, sessionId, connected ? 1 : 0, serverId, connected ? 1 : 0, memberId);
+}
+
+/**
+ * Set a member's role in the room ("owner", "admin" or "member")
+ */
+function setMemberRoomRole(memberId, roomRole) {
+  updateMemberRoomRoleStmt.run(roomRole, memberId);
+}
+
+/**
+ * Remember every member's vote as it was at the reveal (revotes change only the point)
+ */
+function keepRevealedPoints(roomId) {
+  updateRevealedPointsStmt.run(roomId);
 }
 
 /**
@@ -346,6 +608,17 @@ function getMemberCount(roomId) {
   return result ? result.count : 0;
 }
 
+/**
+ * List the members still marked connected whose server hasn't checked in since staleBefore (ms).
+ * Their socket went away with the process (crash or restart), without a disconnect event.
+ */
+function getOrphanedMembers(staleBefore) {
+  return selectOrphanedMembersStmt.all(staleBefore).map((member) => ({
+    ...mapMember(member),
+    roomId: member.room_id,
+  }));
+}
+
 /**
  * Check if room exists
  */
@@ -354,6 +627,379 @@ function roomExists(roomId) {
   return room !== undefined;
 }
 
+// ============== Story Functions ==============
+
+/**
+ * Map a room_stories row to a story object
+ */
+function mapStory(story) {
+  return {
+    id: story.id,
+    title: story.title,
+    description: story.description,
+    position: story.position,
+    status: story.status,
+    result: story.result,
+    estimate: decodePoint(story.estimate),
+    createdAt: story.created_at * 1000
+  };
+}
+
+/**
+ * Insert a story row at the given position
+ */
+function insertStory(roomId, { title, description }, position, status) {
+  const id = randomUUID();
+  const now = Math.floor(Date.now() / 1000);
+
+  insertStoryStmt.run(id, roomId, title, description || null, position, status, now);
+
+  return mapStory(selectStoryStmt.get(id));
+}
+
+/**
+ * Append a story to the end of a room's backlog.
+ * It becomes the active story if the room has none.
+ */
+function addStory(roomId, { title, description }) {
+  const result = selectMaxStoryPositionStmt.get(roomId);
+  const position = result && result.position !== null ? result.position + 1 : 0;
+  const status = selectActiveStoryStmt.get(roomId) ? "pending" : "active";
+
+  return insertStory(roomId, { title, description }, position, status);
+}
+
+/**
+ * Get all stories of a room in backlog order
+ */
+function getStories(roomId) {
+  return selectStoriesByRoomStmt.all(roomId).map(mapStory);
+}
+
+/**
+ * Get the story currently being estimated
+ */
+function getActiveStory(roomId) {
+  const story = selectActiveStoryStmt.get(roomId);
+  return story ? mapStory(story) : null;
+}
+
+/**
+ * Reorder a room's backlog. `storyIds` must contain every story of the room exactly once.
+ * Returns false if the list doesn't match the room's stories.
+ */
+function reorderStories(roomId, storyIds) {
+  const currentIds = selectStoriesByRoomStmt.all(roomId).map(s => s.id);
+  if (
+    !Array.isArray(storyIds) ||
+    storyIds.length !== currentIds.length ||
+    new Set(storyIds).size !== storyIds.length ||
+    !storyIds.every(id => currentIds.includes(id))
+  ) {
+    return false;
+  }
+
+  database.exec("BEGIN");
+  try {
+    storyIds.forEach((id, index) => updateStoryPositionStmt.run(index, id, roomId));
+    database.exec("COMMIT");
+  } catch (error) {
+    database.exec("ROLLBACK");
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Store the result of the active story and move on to the next pending one.
+ * When the backlog is exhausted the active story stays active so it can be re-estimated.
+ * Returns the active story after advancing.
+ */
+function advanceStory(roomId, result) {
+  const active = selectActiveStoryStmt.get(roomId);
+  const next = selectNextPendingStoryStmt.get(roomId);
+
+  database.exec("BEGIN");
+  try {
+    if (active) {
+      updateStoryResultStmt.run(result !== null && result !== undefined ? String(result) : null, active.id);
+    }
+    if (active && next) {
+      updateStoryStatusStmt.run("done", active.id);
+    }
+    if (next) {
+      updateStoryStatusStmt.run("active", next.id);
+    }
+    database.exec("COMMIT");
+  } catch (error) {
+    database.exec("ROLLBACK");
+    throw error;
+  }
+
+  const current = next || active;
+  return current ? mapStory(selectStoryStmt.get(current.id)) : null;
+}
+
+/**
+ * Set the estimate the team agreed on for a story (stored like votes, as JSON)
+ */
+function setStoryEstimate(roomId, storyId, estimate) {
+  updateStoryEstimateStmt.run(encodePoint(estimate), storyId, roomId);
+}
+
+/**
+ * Check whether a room has a pending story after the active one
+ */
+function hasNextStory(roomId) {
+  return selectNextPendingStoryStmt.get(roomId) !== undefined;
+}
+
+// ============== Round History Functions ==============
+
+/**
+ * Map a room_rounds row to a round object
+ */
+function mapRound(round) {
+  return {
+    id: round.id,
+    storyId: round.story_id,
+    storyTitle: round.story_title,
+    roundNumber: round.round_number,
+    votes: JSON.parse(round.votes),
+    average: round.average,
+    revealedAt: round.revealed_at * 1000
+  };
+}
+
+/**
+ * Record a revealed round. `votes` is a list of { name, point }.
+ */
+function recordRound(roomId, { storyId, storyTitle, votes, average }) {
+  const id = randomUUID();
+  const now = Math.floor(Date.now() / 1000);
+  const result = countRoundsByStoryStmt.get(roomId, storyId || null);
+  const roundNumber = (result ? result.count : 0) + 1;
+
+  insertRoundStmt.run(id, roomId, storyId || null, storyTitle, roundNumber, JSON.stringify(votes), average !== null ? String(average) : null, now);
+
+  return {
+    id,
+    storyId: storyId || null,
+    storyTitle,
+    roundNumber,
+    votes,
+    average: average !== null ? String(average) : null,
+    revealedAt: now * 1000
+  };
+}
+
+/**
+ * Get all revealed rounds of a room, oldest first
+ */
+function getRounds(roomId) {
+  return selectRoundsByRoomStmt.all(roomId).map(mapRound);
+}
+
+// ============== Room Ban Functions ==============
+
+/**
+ * Ban a session from rejoining a room
+ */
+function banSession(roomId, sessionId, name) {
+  insertBanStmt.run(roomId, sessionId, name, Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Check if a session is banned from a room
+ */
+function isSessionBanned(roomId, sessionId) {
+  if (!sessionId) return false;
+  return Boolean(selectBanStmt.get(roomId, sessionId));
+}
+
+// ============== Audit Log Functions ==============
+
+/**
+ * Record an event in a room's audit log
+ */
+function recordAuditEvent(roomId, { type, actor = null, sessionId = null, details = null }) {
+  insertAuditEventStmt.run(
+    roomId,
+    type,
+    actor,
+    sessionId,
+    details ? JSON.stringify(details) : null,
+    Math.floor(Date.now() / 1000),
+  );
+}
+
+/**
+ * Delete audit events of rooms that no longer exist. Returns how many were deleted.
+ */
+function pruneAuditLog() {
+  return deleteOrphanedAuditEventsStmt.run().changes;
+}
+
+/**
+ * Get a room's audit log, oldest first
+ */
+function getAuditLog(roomId) {
+  return selectAuditLogByRoomStmt.all(roomId).map((event) => ({
+    id: event.id,
+    type: event.type,
+    actor: event.actor,
+    details: event.details ? JSON.parse(event.details) : null,
+    createdAt: event.created_at * 1000,
+  }));
+}
+
+// ============== Session Functions ==============
+
+/**
+ * Get a session's data, or null if it doesn't exist or has expired
+ */
+function getSession(sid) {
+  const row = selectSessionStmt.get(sid, Math.floor(Date.now() / 1000));
+  return row ? JSON.parse(row.data) : null;
+}
+
+/**
+ * Create or replace a session (expiresAt in milliseconds)
+ */
+function saveSession(sid, data, expiresAt) {
+  upsertSessionStmt.run(sid, JSON.stringify(data), Math.floor(expiresAt / 1000));
+}
+
+/**
+ * Push a session's expiry back (milliseconds timestamp)
+ */
+function touchSession(sid, expiresAt) {
+  updateSessionExpiryStmt.run(Math.floor(expiresAt / 1000), sid);
+}
+
+/**
+ * Delete a session
+ */
+function deleteSession(sid) {
+  deleteSessionStmt.run(sid);
+}
+
+/**
+ * Drop a room from a stored session (for members removed while they had no socket holding the session)
+ */
+function forgetSessionRoom(sid, roomId) {
+  deleteSessionRoomStmt.run(roomId, sid);
+}
+
+/**
+ * Delete expired sessions. Returns how many were deleted.
+ */
+function pruneExpiredSessions() {
+  return deleteExpiredSessionsStmt.run(Math.floor(Date.now() / 1000)).changes;
+}
+
+// ============== Cluster Functions ==============
+
+/**
+ * Record that a server process is alive
+ */
+function heartbeatServer(serverId) {
+  upsertServerStmt.run(serverId, Date.now());
+}
+
+/**
+ * Forget servers that haven't checked in since staleBefore (ms)
+ */
+function pruneServers(staleBefore) {
+  return deleteStaleServersStmt.run(staleBefore).changes;
+}
+
+/**
+ * Take (or renew) a lock for ttlMs. Returns true if owner holds the lock.
+ */
+function acquireLock(name, owner, ttlMs) {
+  const now = Date.now();
+  return acquireLockStmt.run(name, owner, now + ttlMs, now).changes === 1;
+}
+
+/**
+ * Release a lock held by owner
+ */
+function releaseLock(name, owner) {
+  deleteLockStmt.run(name, owner);
+}
+
+/**
+ * Map a timers row to a timer object
+ */
+function mapTimer(timer) {
+  return {
+    key: timer.key,
+    type: timer.type,
+    roomId: timer.room_id,
+    sessionId: timer.session_id,
+    memberId: timer.member_id,
+    dueAt: timer.due_at,
+  };
+}
+
+/**
+ * Create or replace a timer (dueAt in milliseconds)
+ */
+function scheduleTimer({ key, type, roomId, sessionId = null, memberId = null, dueAt }) {
+  upsertTimerStmt.run(key, type, roomId, sessionId, memberId, dueAt);
+}
+
+/**
+ * Get a pending timer, or null
+ */
+function getTimer(key) {
+  const timer = selectTimerStmt.get(key);
+  return timer ? mapTimer(timer) : null;
+}
+
+/**
+ * Cancel a timer. Returns true if it was still pending.
+ */
+function cancelTimer(key) {
+  return deleteTimerStmt.run(key).changes > 0;
+}
+
+/**
+ * Claim every timer that is due. Each timer is returned to exactly one caller.
+ */
+function takeDueTimers() {
+  return takeDueTimersStmt.all(Date.now()).map(mapTimer);
+}
+
+/**
+ * Publish a cluster message (recipient null means every server). Returns its id.
+ */
+function publishClusterMessage(sender, recipient, payload) {
+  return Number(insertClusterMessageStmt.run(sender, recipient, payload, Date.now()).lastInsertRowid);
+}
+
+/**
+ * Get the cluster messages published after a message id
+ */
+function getClusterMessages(afterId) {
+  return selectClusterMessagesStmt.all(afterId);
+}
+
+/**
+ * Get the id of the last cluster message (0 if there is none)
+ */
+function getLatestClusterMessageId() {
+  return selectLatestClusterMessageIdStmt.get()?.id ?? 0;
+}
+
+/**
+ * Delete cluster messages published before olderThan (ms). Returns how many were deleted.
+ */
+function pruneClusterMessages(olderThan) {
+  return deleteOldClusterMessagesStmt.run(olderThan).changes;
+}
+
 // Track if database is already closed
 let isClosed = false;
 
@@ -387,7 +1033,12 @@ export const db = {
   getRoom,
   setRoomRevealed,
   deleteRoom,
+  setRoomExpiresAt,
+  markRoomGraceUsed,
+  getExpiringRooms,
   getExpiredRooms,
+  setRoomSettings,
+  setRoomInviteCode,
   roomExists,
   
   // Member operations
@@ -398,8 +1049,55 @@ export const db = {
   updateMemberPoint,
   updateMemberConnection,
   updateMemberSocket,
+  setMemberRoomRole,
+  keepRevealedPoints,
   resetAllMemberPoints,
   deleteMember,
   getConnectedMemberCount,
   getMemberCount,
+  getOrphanedMembers,
+
+  // Story operations
+  addStory,
+  getStories,
+  getActiveStory,
+  reorderStories,
+  advanceStory,
+  setStoryEstimate,
+  hasNextStory,
+
+  // Round history operations
+  recordRound,
+  getRounds,
+
+  // Room ban operations
+  banSession,
+  isSessionBanned,
+
+  // Audit log operations
+  recordAuditEvent,
+  getAuditLog,
+  pruneAuditLog,
+
+  // Session operations
+  getSession,
+  saveSession,
+  touchSession,
+  deleteSession,
+  forgetSessionRoom,
+  pruneExpiredSessions,
+
+  // Cluster operations
+  heartbeatServer,
+  pruneServers,
+  acquireLock,
+  releaseLock,
+  scheduleTimer,
+  getTimer,
+  cancelTimer,
+  takeDueTimers,
+  publishClusterMessage,
+  getClusterMessages,
+  getLatestClusterMessageId,
+  pruneClusterMessages,
 };
\ No newline at end of file
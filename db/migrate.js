@@ -0,0 +1,139 @@
+import { pathToFileURL } from "node:url";
+import { DB_PATH, openDatabase } from "./connection.js";
+import { MIGRATIONS } from "./migrations.js";
+
+/**
+ * Create the table that records applied migrations
+ */
+function ensureMigrationsTable(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at INTEGER DEFAULT (unixepoch())
+    )
+  `);
+}
+
+/**
+ * Map applied versions to their schema_migrations row
+ */
+function getAppliedMigrations(database) {
+  const rows = database.prepare("SELECT * FROM schema_migrations ORDER BY version ASC").all();
+  return new Map(rows.map((row) => [row.version, row]));
+}
+
+/**
+ * Apply the pending migrations in order, each in its own transaction, up to version `to`
+ * (all of them by default). Returns the migrations that were applied.
+ * Several processes may start at once: each migration is checked again once the write lock is
+ * held, so it runs only once.
+ */
+export function migrate(database, { to = Infinity, migrations = MIGRATIONS } = {}) {
+  ensureMigrationsTable(database);
+
+  const isApplied = database.prepare("SELECT 1 FROM schema_migrations WHERE version = ?");
+  const recordMigration = database.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)");
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (migration.version > to) break;
+
+    database.exec("BEGIN IMMEDIATE");
+    try {
+      if (!isApplied.get(migration.version)) {
+        migration.up(database);
+        recordMigration.run(migration.version, migration.name);
+        applied.push(migration);
+      }
+      database.exec("COMMIT");
+    } catch (error) {
+      database.exec("ROLLBACK");
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`, {
+        cause: error,
+      });
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * List every migration with its state: "applied", "pending", or "unknown" for versions
+ * recorded in the database that this code doesn't have (the database is newer than the code)
+ */
+export function getMigrationStatus(database, migrations = MIGRATIONS) {
+  ensureMigrationsTable(database);
+  const appliedRows = getAppliedMigrations(database);
+
+  const status = migrations.map((migration) => {
+    const row = appliedRows.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: row ? "applied" : "pending",
+      appliedAt: row ? row.applied_at * 1000 : null,
+    };
+  });
+
+  for (const row of appliedRows.values()) {
+    if (!migrations.some((m) => m.version === row.version)) {
+      status.push({ version: row.version, name: row.name, state: "unknown", appliedAt: row.applied_at * 1000 });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+const STATE_LABELS = {
+  applied: "applied",
+  pending: "pending",
+  unknown: "applied, but not in this version of the code",
+};
+
+// Print the migration status of the database
+function printStatus(database) {
+  const status = getMigrationStatus(database);
+
+  console.log(`Database: ${DB_PATH}`);
+  for (const migration of status) {
+    const when = migration.appliedAt ? ` on ${new Date(migration.appliedAt).toISOString()}` : "";
+    console.log(`  ${migration.version} ${migration.name} - ${STATE_LABELS[migration.state]}${when}`);
+  }
+
+  const pending = status.filter((m) => m.state === "pending").length;
+  console.log(pending ? `${pending} pending migration(s). Run "npm run db:migrate" to apply them.` : "Up to date.");
+}
+
+// Command line: `status` lists the migrations, `up [version]` applies the pending ones
+function runCommand([command = "status", target]) {
+  const database = openDatabase(DB_PATH);
+
+  try {
+    if (command === "status") {
+      printStatus(database);
+    } else if (command === "up") {
+      const to = target === undefined ? Infinity : Number(target);
+      if (!Number.isInteger(to) && to !== Infinity) {
+        throw new Error(`Invalid target version: ${target}`);
+      }
+
+      const applied = migrate(database, { to });
+      applied.forEach((m) => console.log(`Applied migration ${m.version} (${m.name})`));
+      if (applied.length === 0) {
+        console.log("Nothing to apply.");
+      }
+    } else {
+      throw new Error(`Unknown command: ${command} (expected "status" or "up [version]")`);
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    database.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runCommand(process.argv.slice(2));
+}
@@ -0,0 +1,301 @@
+import { randomUUID } from "node:crypto";
+
+// Schema migrations, applied in order by db/migrate.js. A migration that has shipped is never
+// edited: schema changes go into a new migration with the next version.
+
+/**
+ * Check whether a table has a column
+ */
+function hasColumn(database, table, column) {
+  return database.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+}
+
+/**
+ * Add a column unless the table already has it. Returns true if the column was added.
+ */
+function addColumnIfMissing(database, table, column, definition) {
+  if (hasColumn(database, table, column)) return false;
+  database.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Create every table (tables that already exist are left as they are)
+ */
+function createTables(database) {
+  // Create the rooms table
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      id TEXT PRIMARY KEY,
+      task_title TEXT NOT NULL,
+      task_description TEXT,
+      admin_token TEXT NOT NULL,
+      admin_name TEXT NOT NULL,
+      deck_type TEXT NOT NULL DEFAULT 'modified-fibonacci',
+      deck TEXT,
+      revealed INTEGER DEFAULT 0,
+      created_at INTEGER DEFAULT (unixepoch()),
+      expires_at INTEGER NOT NULL,
+      grace_used INTEGER DEFAULT 0,
+      auto_reveal INTEGER DEFAULT 0,
+      countdown_seconds INTEGER DEFAULT 0,
+      allow_revotes INTEGER DEFAULT 0,
+      passcode_hash TEXT,
+      invite_code TEXT,
+      updated_at INTEGER DEFAULT (unixepoch())
+    )
+  `);
+
+  // Create the room_members table
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS room_members (
+      id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      session_id TEXT,
+      socket_id TEXT,
+      name TEXT NOT NULL,
+      point TEXT,
+      revealed_point TEXT,
+      connected INTEGER DEFAULT 1,
+      room_role TEXT NOT NULL DEFAULT 'member',
+      role TEXT NOT NULL DEFAULT 'voter',
+      joined_at INTEGER DEFAULT (unixepoch()),
+      connected_at INTEGER,
+      server_id TEXT,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE,
+      UNIQUE(room_id, name)
+    )
+  `);
+
+  // Create the room_stories table (ordered backlog of stories per room)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS room_stories (
+      id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      title TEXT NOT NULL,
+      description TEXT,
+      position INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      result TEXT,
+      estimate TEXT,
+      created_at INTEGER DEFAULT (unixepoch()),
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create the room_rounds table (history of revealed rounds)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS room_rounds (
+      id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      story_id TEXT,
+      story_title TEXT NOT NULL,
+      round_number INTEGER NOT NULL,
+      votes TEXT NOT NULL,
+      average TEXT,
+      revealed_at INTEGER DEFAULT (unixepoch()),
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create the room_bans table (sessions removed by an admin that may not rejoin)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS room_bans (
+      room_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      banned_at INTEGER DEFAULT (unixepoch()),
+      PRIMARY KEY (room_id, session_id),
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create the room_audit_log table (activity per room: joins, votes, reveals, admin actions...).
+  // No foreign key to rooms: deleteRoom() deletes a room's log with it.
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS room_audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      room_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      actor TEXT,
+      session_id TEXT,
+      details TEXT,
+      created_at INTEGER DEFAULT (unixepoch())
+    )
+  `);
+
+  // Create the sessions table (express-session store, so sessions survive restarts)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  // Create the servers table (server processes sharing this database, with their last check-in in ms)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS servers (
+      id TEXT PRIMARY KEY,
+      seen_at INTEGER NOT NULL
+    )
+  `);
+
+  // Create the locks table (work only one server process may do at a time; expiry in ms)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS locks (
+      name TEXT PRIMARY KEY,
+      owner TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    )
+  `);
+
+  // Create the timers table (grace periods and countdowns, run by whichever process claims them; due in ms)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS timers (
+      key TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      room_id TEXT NOT NULL,
+      session_id TEXT,
+      member_id TEXT,
+      due_at INTEGER NOT NULL,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create the cluster_messages table (Socket.IO broadcasts between server processes; created in ms)
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS cluster_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      sender TEXT NOT NULL,
+      recipient TEXT,
+      payload TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    )
+  `);
+}
+
+/**
+ * Databases created before migrations existed have the tables of whichever version created
+ * them: add the columns introduced since, with values matching the old behaviour
+ */
+function addColumnsFromBeforeMigrations(database) {
+  addColumnIfMissing(database, "rooms", "deck_type", "TEXT NOT NULL DEFAULT 'modified-fibonacci'");
+  addColumnIfMissing(database, "rooms", "deck", "TEXT");
+  if (addColumnIfMissing(database, "rooms", "expires_at", "INTEGER NOT NULL DEFAULT 0")) {
+    // Rooms used to last 10 minutes
+    database.exec("UPDATE rooms SET expires_at = created_at + 600");
+  }
+  addColumnIfMissing(database, "rooms", "grace_used", "INTEGER DEFAULT 0");
+  addColumnIfMissing(database, "rooms", "auto_reveal", "INTEGER DEFAULT 0");
+  addColumnIfMissing(database, "rooms", "countdown_seconds", "INTEGER DEFAULT 0");
+  addColumnIfMissing(database, "rooms", "allow_revotes", "INTEGER DEFAULT 0");
+  addColumnIfMissing(database, "rooms", "passcode_hash", "TEXT");
+  addColumnIfMissing(database, "rooms", "invite_code", "TEXT");
+
+  addColumnIfMissing(database, "room_members", "revealed_point", "TEXT");
+  addColumnIfMissing(database, "room_members", "role", "TEXT NOT NULL DEFAULT 'voter'");
+  addColumnIfMissing(database, "room_members", "connected_at", "INTEGER");
+  addColumnIfMissing(database, "room_members", "server_id", "TEXT");
+  if (addColumnIfMissing(database, "room_members", "room_role", "TEXT NOT NULL DEFAULT 'member'")) {
+    // Co-admins were flagged with is_admin; the creator is the member named as the room's admin
+    if (hasColumn(database, "room_members", "is_admin")) {
+      database.exec("UPDATE room_members SET room_role = 'admin' WHERE is_admin = 1");
+    }
+    database.exec(`
+      UPDATE room_members SET room_role = 'owner'
+      WHERE name = (SELECT admin_name FROM rooms WHERE rooms.id = room_members.room_id)
+    `);
+  }
+
+  addColumnIfMissing(database, "room_stories", "estimate", "TEXT");
+}
+
+/**
+ * Create indexes for better query performance
+ */
+function createIndexes(database) {
+  database.exec(`
+    CREATE INDEX IF NOT EXISTS idx_room_members_room_id ON room_members(room_id);
+    CREATE INDEX IF NOT EXISTS idx_room_stories_room_id ON room_stories(room_id, position);
+    CREATE INDEX IF NOT EXISTS idx_room_members_session_id ON room_members(session_id);
+    CREATE INDEX IF NOT EXISTS idx_room_members_socket_id ON room_members(socket_id);
+    CREATE INDEX IF NOT EXISTS idx_room_rounds_room_id ON room_rounds(room_id, revealed_at);
+    CREATE INDEX IF NOT EXISTS idx_room_audit_log_room_id ON room_audit_log(room_id, id);
+    CREATE INDEX IF NOT EXISTS idx_room_audit_log_created_at ON room_audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_rooms_created_at ON rooms(created_at);
+    CREATE INDEX IF NOT EXISTS idx_rooms_expires_at ON rooms(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_timers_due_at ON timers(due_at);
+    CREATE INDEX IF NOT EXISTS idx_cluster_messages_created_at ON cluster_messages(created_at);
+  `);
+}
+
+/**
+ * Rooms created before the story backlog have no stories: their task becomes the room's active
+ * story, and the rounds they revealed are filed under it
+ */
+function backfillInitialStories(database) {
+  const rooms = database
+    .prepare(`
+      SELECT id, task_title, task_description, created_at FROM rooms
+      WHERE NOT EXISTS (SELECT 1 FROM room_stories WHERE room_stories.room_id = rooms.id)
+    `)
+    .all();
+
+  const insertStory = database.prepare(`
+    INSERT INTO room_stories (id, room_id, title, description, position, status, created_at)
+    VALUES (?, ?, ?, ?, 0, 'active', ?)
+  `);
+  const fileRounds = database.prepare("UPDATE room_rounds SET story_id = ? WHERE room_id = ? AND story_id IS NULL");
+
+  for (const room of rooms) {
+    const storyId = randomUUID();
+    insertStory.run(storyId, room.id, room.task_title, room.task_description, room.created_at);
+    fileRounds.run(storyId, room.id);
+  }
+}
+
+/**
+ * Record where each member joined from: "web" (browser) or "api" (REST API, no socket)
+ */
+function addMemberSource(database) {
+  addColumnIfMissing(database, "room_members", "source", "TEXT NOT NULL DEFAULT 'web'");
+}
+
+/**
+ * Refused admin actions no longer record the client's IP: admins download the log
+ */
+function dropAuditIps(database) {
+  database.exec(`
+    UPDATE room_audit_log SET details = json_remove(details, '$.ip')
+    WHERE type = 'unauthorized' AND details IS NOT NULL
+  `);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial_schema",
+    up(database) {
+      createTables(database);
+      addColumnsFromBeforeMigrations(database);
+      createIndexes(database);
+    },
+  },
+  {
+    version: 2,
+    name: "backfill_initial_stories",
+    up: backfillInitialStories,
+  },
+  {
+    version: 3,
+    name: "member_source",
+    up: addMemberSource,
+  },
+  {
+    version: 4,
+    name: "drop_audit_ips",
+    up: dropAuditIps,
+  },
+];
@@ -0,0 +1,28 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+// Signature of a member's token: HMAC of the room and member ids, keyed with the room's admin token
+function sign(room, memberId) {
+  return createHmac("sha256", room.adminToken).update(`${room.id}:${memberId}`).digest("base64url");
+}
+
+/**
+ * Bearer token for the REST API, as "memberId.signature". It only works in its room
+ * and stops working once the member leaves or is removed.
+ */
+export function createMemberToken(room, memberId) {
+  return `${memberId}.${sign(room, memberId)}`;
+}
+
+/**
+ * Check a bearer token against a room without leaking timing. Returns the member id, or null.
+ */
+export function verifyMemberToken(room, token) {
+  if (typeof token !== "string" || !room?.adminToken) return null;
+
+  const [memberId, signature] = token.split(".");
+  if (!memberId || !signature) return null;
+
+  const expected = Buffer.from(sign(room, memberId));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected) ? memberId : null;
+}
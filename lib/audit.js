@@ -0,0 +1,97 @@
+import { csvField } from "./export.js";
+
+const SYSTEM_ACTOR = "System";
+
+const REVEAL_TRIGGERS = {
+  admin: "revealed the votes",
+  auto: "revealed the votes (everyone voted)",
+  countdown: "revealed the votes (countdown ended)",
+};
+
+const LEAVE_REASONS = {
+  left: "left the room",
+  timeout: "was removed after being disconnected too long",
+};
+
+// One-line description of each event type (details come from the event)
+const DESCRIBERS = {
+  room_created: (d) => `created the room "${d.taskTitle}"`,
+  join: (d) => `joined as ${d.role}`,
+  reconnect: () => "reconnected",
+  disconnect: () => "disconnected",
+  leave: (d) => LEAVE_REASONS[d.reason] || "left the room",
+  vote: (d) => (d.hidden ? "voted (hidden until reveal)" : `voted ${d.point}`),
+  vote_changed: (d) =>
+    d.hidden ? "changed their vote (hidden until reveal)" : `changed their vote from ${d.from} to ${d.point}`,
+  revote: (d) => `changed their vote after the reveal from ${d.from ?? "no vote"} to ${d.point}`,
+  reveal: (d) => `${REVEAL_TRIGGERS[d.trigger] || REVEAL_TRIGGERS.admin} (average: ${d.average ?? "-"})`,
+  reset: (d) => (d.advanced ? "moved on to the next story" : "reset the votes"),
+  promote: (d) => (d.automatic ? `${d.member} became admin (automatic handover)` : `promoted ${d.member} to admin`),
+  remove: (d) => (d.banned ? `removed and banned ${d.member}` : `removed ${d.member}`),
+  extend: (d) => (d.grace ? `extended the room by ${d.minutes} minutes to finish the round` : `extended the room by ${d.minutes} minutes`),
+  settings: (d) =>
+    `set auto-reveal ${d.autoReveal ? "on" : "off"}, countdown ${d.countdownSeconds ? `${d.countdownSeconds}s` : "off"}, ` +
+    `revotes ${d.allowRevotes ? "allowed" : "locked"}`,
+  countdown: (d) => `started a ${d.seconds}s countdown`,
+  estimate: (d) => `set the final estimate to ${d.estimate}`,
+  story_add: (d) => `added the story "${d.title}"`,
+  story_reorder: () => "reordered the backlog",
+  invite_rotated: () => "rotated the invite link",
+  unauthorized: (d) => `was refused ${d.action}`,
+};
+
+/**
+ * Hide vote values that were never revealed to the room. Events are walked in order:
+ * votes of the current round become visible at the next reveal, a reset before any
+ * reveal keeps them hidden for good, and votes cast while revealed are visible.
+ */
+export function redactVotes(events) {
+  const hiddenIds = new Set();
+  let revealed = false;
+  let pending = [];
+
+  for (const event of events) {
+    if (event.type === "vote" || event.type === "vote_changed") {
+      if (!revealed) pending.push(event.id);
+    } else if (event.type === "reveal") {
+      revealed = true;
+      pending = [];
+    } else if (event.type === "reset") {
+      revealed = false;
+      pending.forEach((id) => hiddenIds.add(id));
+      pending = [];
+    }
+  }
+  pending.forEach((id) => hiddenIds.add(id));
+
+  return events.map((event) =>
+    hiddenIds.has(event.id) ? { ...event, details: { hidden: true } } : event,
+  );
+}
+
+/**
+ * Describe an event in one line, e.g. "Ana changed their vote from 3 to 5"
+ */
+export function describeAuditEvent(event) {
+  const describe = DESCRIBERS[event.type];
+  const text = describe ? describe(event.details || {}) : event.type;
+  return `${event.actor || SYSTEM_ACTOR} ${text}`;
+}
+
+/**
+ * Build the audit log as CSV (one event per row)
+ */
+export function auditLogToCsv(events) {
+  const rows = [["Time", "Event", "Actor", "Description"]];
+
+  for (const event of events) {
+    rows.push([
+      new Date(event.createdAt).toISOString(),
+      event.type,
+      event.actor || SYSTEM_ACTOR,
+      describeAuditEvent(event),
+    ]);
+  }
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
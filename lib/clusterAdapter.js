@@ -0,0 +1,73 @@
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+
+const DEFAULT_POLL_INTERVAL_MS = 100;
+
+// Buffers go through JSON as { type: "Buffer", data: [...] }; turn them back into buffers
+function reviveBuffers(key, value) {
+  if (value && value.type === "Buffer" && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  }
+  return value;
+}
+
+/**
+ * Socket.IO adapter that relays broadcasts between server processes through the shared
+ * SQLite database: each process publishes to the cluster_messages table and polls it for
+ * messages from the others.
+ */
+class SqliteAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, db, opts) {
+    super(nsp, opts);
+    this.db = db;
+    // Only messages published from now on concern this process
+    this.lastMessageId = db.getLatestClusterMessageId();
+    this.pollTimer = setInterval(() => this.poll(), opts.pollIntervalMs);
+  }
+
+  // Read the messages published since the last poll
+  poll() {
+    try {
+      for (const row of this.db.getClusterMessages(this.lastMessageId)) {
+        this.lastMessageId = row.id;
+        if (row.sender === this.uid) continue;
+
+        const message = JSON.parse(row.payload, reviveBuffers);
+        if (row.recipient === null) {
+          this.onMessage(message, String(row.id));
+        } else if (row.recipient === this.uid) {
+          this.onResponse(message);
+        }
+      }
+    } catch (error) {
+      console.error("[Cluster] Failed to read messages:", error);
+    }
+  }
+
+  doPublish(message) {
+    const id = this.db.publishClusterMessage(this.uid, null, JSON.stringify(message));
+    return Promise.resolve(String(id));
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.db.publishClusterMessage(this.uid, requesterUid, JSON.stringify(response));
+    return Promise.resolve();
+  }
+
+  close() {
+    clearInterval(this.pollTimer);
+    super.close();
+  }
+}
+
+/**
+ * Create the SQLite adapter for the `adapter` option of the Socket.IO server
+ * (Socket.IO calls it with `new`, hence no arrow function).
+ * @param {object} db - the `db` object from db/index.js
+ * @param {object} [opts] - pollIntervalMs, plus the heartbeat options of ClusterAdapterWithHeartbeat
+ */
+export function createSqliteAdapter(db, opts = {}) {
+  const options = { pollIntervalMs: DEFAULT_POLL_INTERVAL_MS, ...opts };
+  return function (nsp) {
+    return new SqliteAdapter(nsp, db, options);
+  };
+}
@@ -0,0 +1,161 @@
+// Card deck presets available when creating a room
+export const DECKS = {
+  "modified-fibonacci": {
+    name: "Modified Fibonacci (0, 1, 2, 3, 5, 8, 13, 20, 40, 100)",
+    cards: [
+      { value: 0, emoji: "😴", label: "No effort" },
+      { value: 1, emoji: "🔥", label: "Tiny" },
+      { value: 2, emoji: "🚀", label: "Small" },
+      { value: 3, emoji: "🦄", label: "Small-Med" },
+      { value: 5, emoji: "🤓", label: "Medium" },
+      { value: 8, emoji: "💪", label: "Large" },
+      { value: 13, emoji: "🧙", label: "X-Large" },
+      { value: 20, emoji: "🐙", label: "Huge" },
+      { value: 40, emoji: "👹", label: "Massive" },
+      { value: 100, emoji: "⚡💀", label: "Epic!" },
+    ],
+  },
+  fibonacci: {
+    name: "Fibonacci (0, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89)",
+    cards: [
+      { value: 0, emoji: "😴", label: "No effort" },
+      { value: 1, emoji: "🔥", label: "Tiny" },
+      { value: 2, emoji: "🚀", label: "Small" },
+      { value: 3, emoji: "🦄", label: "Small-Med" },
+      { value: 5, emoji: "🤓", label: "Medium" },
+      { value: 8, emoji: "💪", label: "Large" },
+      { value: 13, emoji: "🧙", label: "X-Large" },
+      { value: 21, emoji: "🐙", label: "Huge" },
+      { value: 34, emoji: "👹", label: "Massive" },
+      { value: 55, emoji: "🐉", label: "Gigantic" },
+      { value: 89, emoji: "⚡💀", label: "Epic!" },
+    ],
+  },
+  "t-shirt": {
+    name: "T-shirt sizes (XS, S, M, L, XL, XXL)",
+    cards: [
+      { value: "XS", emoji: "🐜", label: "Extra small" },
+      { value: "S", emoji: "🐇", label: "Small" },
+      { value: "M", emoji: "🐕", label: "Medium" },
+      { value: "L", emoji: "🐴", label: "Large" },
+      { value: "XL", emoji: "🐘", label: "Extra large" },
+      { value: "XXL", emoji: "🐳", label: "Huge" },
+    ],
+  },
+  "powers-of-two": {
+    name: "Powers of two (0, 1, 2, 4, 8, 16, 32, 64)",
+    cards: [
+      { value: 0, emoji: "😴", label: "No effort" },
+      { value: 1, emoji: "🔥", label: "Tiny" },
+      { value: 2, emoji: "🚀", label: "Small" },
+      { value: 4, emoji: "🤓", label: "Medium" },
+      { value: 8, emoji: "💪", label: "Large" },
+      { value: 16, emoji: "🧙", label: "X-Large" },
+      { value: 32, emoji: "🐙", label: "Huge" },
+      { value: 64, emoji: "⚡💀", label: "Epic!" },
+    ],
+  },
+};
+
+// Non-numeric cards that can be appended to any deck. They never count toward numeric stats.
+export const SPECIAL_CARDS = [
+  { value: "?", emoji: "🤔", label: "No idea", special: true },
+  { value: "☕", emoji: "☕", label: "Need a break", special: true },
+  { value: "∞", emoji: "♾️", label: "Too big", special: true },
+];
+
+export const BREAK_CARD_VALUE = "☕";
+
+export const DEFAULT_DECK_TYPE = "modified-fibonacci";
+export const CUSTOM_DECK_TYPE = "custom";
+
+const MIN_CUSTOM_CARDS = 2;
+const MAX_CUSTOM_CARDS = 20;
+const MAX_CARD_VALUE_LENGTH = 12;
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\p{Emoji_Presentation}\u200D\uFE0F]+/gu;
+// Card values are plain text: letters, digits, spaces and a few symbols (never markup)
+const CARD_VALUE_PATTERN = /^[\p{L}\p{N}\p{Zs}.?!+\-/∞]+$/u;
+
+/**
+ * Parse a custom comma-separated deck, e.g. "1 🐜, 2 🐇, 3, ? 🤔".
+ * Each entry is a value with an optional emoji. Returns null if the deck is invalid.
+ */
+export function parseCustomDeck(input) {
+  if (typeof input !== "string") return null;
+
+  const cards = [];
+  for (const entry of input.split(",")) {
+    const emoji = (entry.match(EMOJI_PATTERN) || []).join("");
+    const text = entry.replace(EMOJI_PATTERN, "").trim();
+    const rawValue = text || emoji;
+
+    if (!rawValue) continue;
+    if (rawValue.length > MAX_CARD_VALUE_LENGTH) return null;
+    if (text && !CARD_VALUE_PATTERN.test(text)) return null;
+
+    const value = /^\d+(\.\d+)?$/.test(rawValue) ? Number(rawValue) : rawValue;
+
+    // Duplicate values would make votes ambiguous
+    if (cards.some((c) => String(c.value) === String(value))) return null;
+
+    cards.push({ value, emoji: emoji || "🎴", label: String(value) });
+  }
+
+  if (cards.length < MIN_CUSTOM_CARDS || cards.length > MAX_CUSTOM_CARDS) {
+    return null;
+  }
+  return cards;
+}
+
+/**
+ * Find the card matching a vote. Values must match exactly (type included),
+ * so "5" is not accepted for the card 5.
+ */
+export function findCard(cards, value) {
+  return cards.find((c) => c.value === value) || null;
+}
+
+/**
+ * Check whether a vote is one of the special cards
+ */
+export function isSpecialCard(value) {
+  return SPECIAL_CARDS.some((c) => c.value === value);
+}
+
+/**
+ * Append the special cards to a deck, skipping values the deck already has
+ */
+function withSpecialCards(cards) {
+  const extra = SPECIAL_CARDS.filter(
+    (special) => !cards.some((c) => String(c.value) === special.value),
+  );
+  return [...cards, ...extra];
+}
+
+/**
+ * Check whether a deck type can be picked on the create form: a preset or "custom"
+ * (only the presets' own keys, never inherited ones like "constructor")
+ */
+export function isDeckType(type) {
+  return Object.hasOwn(DECKS, type) || type === CUSTOM_DECK_TYPE;
+}
+
+/**
+ * Resolve the deck chosen on the create form. Returns { type, cards } or null if invalid.
+ */
+export function resolveDeck(type, customInput, includeSpecialCards = false) {
+  let deck = null;
+
+  if (!type || Object.hasOwn(DECKS, type)) {
+    const deckType = type || DEFAULT_DECK_TYPE;
+    deck = { type: deckType, cards: DECKS[deckType].cards };
+  } else if (type === CUSTOM_DECK_TYPE) {
+    const cards = parseCustomDeck(customInput);
+    deck = cards ? { type: CUSTOM_DECK_TYPE, cards } : null;
+  }
+
+  if (deck && includeSpecialCards) {
+    deck.cards = withSpecialCards(deck.cards);
+  }
+  return deck;
+}
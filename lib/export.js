@@ -0,0 +1,202 @@
+import { summarizeVotes } from "./stats.js";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  md: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+};
+
+/**
+ * Build the exportable results of a room: every story with its rounds,
+ * each member's vote, the round statistics and the final estimate.
+ */
+export function buildRoomExport(room, rounds) {
+  const toRound = (round) => {
+    const stats = summarizeVotes(round.votes, room.deck);
+    return {
+      roundNumber: round.roundNumber,
+      revealedAt: new Date(round.revealedAt).toISOString(),
+      votes: round.votes,
+      stats: {
+        average: stats.average,
+        median: stats.median,
+        mode: stats.mode,
+        min: stats.min,
+        max: stats.max,
+        stdDev: stats.stdDev,
+        suggestedCard: stats.suggestedCard,
+        consensus: stats.consensus,
+        specialVotes: stats.specialVotes,
+      },
+    };
+  };
+
+  const stories = room.stories.map((story) => {
+    const storyRounds = rounds.filter((r) => r.storyId === story.id);
+    const lastRound = storyRounds[storyRounds.length - 1];
+
+    return {
+      title: story.title,
+      description: story.description,
+      status: story.status,
+      average: story.result ?? (lastRound ? lastRound.average : null),
+      finalEstimate: story.estimate,
+      rounds: storyRounds.map(toRound),
+    };
+  });
+
+  // Rounds whose story is no longer in the backlog are still worth keeping
+  const orphanRounds = rounds.filter(
+    (r) => !room.stories.some((s) => s.id === r.storyId),
+  );
+  for (const round of orphanRounds) {
+    stories.push({
+      title: round.storyTitle,
+      description: null,
+      status: "done",
+      average: round.average,
+      finalEstimate: null,
+      rounds: [toRound(round)],
+    });
+  }
+
+  return {
+    room: {
+      id: room.id,
+      adminName: room.adminName,
+      deckType: room.deckType,
+      createdAt: new Date(room.createdAt).toISOString(),
+      exportedAt: new Date().toISOString(),
+    },
+    stories,
+  };
+}
+
+// Quote a CSV field, neutralizing spreadsheet formulas
+export function csvField(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = Array.isArray(value) ? value.join(" ") : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV row per vote (stories without rounds get a single row)
+ */
+export function toCsv(data) {
+  const header = [
+    "story",
+    "status",
+    "final_estimate",
+    "round",
+    "revealed_at",
+    "member",
+    "vote",
+    "average",
+    "median",
+    "mode",
+    "min",
+    "max",
+    "std_dev",
+    "consensus",
+  ];
+  const rows = [header];
+
+  for (const story of data.stories) {
+    const storyFields = [story.title, story.status, story.finalEstimate];
+
+    if (story.rounds.length === 0) {
+      rows.push([...storyFields, ...Array(header.length - storyFields.length).fill(null)]);
+      continue;
+    }
+
+    for (const round of story.rounds) {
+      const { stats } = round;
+      const statFields = [
+        stats.average,
+        stats.median,
+        stats.mode,
+        stats.min,
+        stats.max,
+        stats.stdDev,
+        stats.consensus,
+      ];
+      for (const vote of round.votes) {
+        rows.push([
+          ...storyFields,
+          round.roundNumber,
+          round.revealedAt,
+          vote.name,
+          vote.point,
+          ...statFields,
+        ]);
+      }
+    }
+  }
+
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Escape characters that would break a Markdown table cell
+function mdCell(value) {
+  if (value === null || value === undefined) return "-";
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+/**
+ * Human-readable Markdown summary
+ */
+export function toMarkdown(data) {
+  const lines = [
+    "# PokerEstima Session Results",
+    "",
+    `- **Room:** ${data.room.id}`,
+    `- **Facilitator:** ${mdCell(data.room.adminName)}`,
+    `- **Deck:** ${data.room.deckType}`,
+    `- **Exported:** ${data.room.exportedAt}`,
+    "",
+    "## Summary",
+    "",
+    "| Story | Status | Average | Final Estimate |",
+    "|-------|--------|---------|----------------|",
+    ...data.stories.map(
+      (s) =>
+        `| ${mdCell(s.title)} | ${s.status} | ${mdCell(s.average)} | ${mdCell(s.finalEstimate)} |`,
+    ),
+  ];
+
+  for (const story of data.stories) {
+    lines.push("", `## ${mdCell(story.title)}`, "");
+    if (story.description) {
+      lines.push(mdCell(story.description), "");
+    }
+    lines.push(`**Final estimate:** ${mdCell(story.finalEstimate)}`);
+
+    if (story.rounds.length === 0) {
+      lines.push("", "_Not estimated yet._");
+      continue;
+    }
+
+    for (const round of story.rounds) {
+      const { stats } = round;
+      lines.push(
+        "",
+        `### Round ${round.roundNumber} (${round.revealedAt})`,
+        "",
+        "| Member | Vote |",
+        "|--------|------|",
+        ...round.votes.map((v) => `| ${mdCell(v.name)} | ${mdCell(v.point)} |`),
+        "",
+        `Average ${mdCell(stats.average)} · Median ${mdCell(stats.median)} · ` +
+          `Mode ${mdCell(stats.mode.join(", ") || null)} · ` +
+          `Range ${stats.min !== null ? `${stats.min}–${stats.max}` : "-"} · ` +
+          `Std dev ${mdCell(stats.stdDev)} · ${stats.consensus ? "Consensus ✅" : "No consensus"}`,
+      );
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,35 @@
+import { randomBytes, scryptSync, timingSafeEqual } from "crypto";
+
+export const MIN_PASSCODE_LENGTH = 4;
+export const MAX_PASSCODE_LENGTH = 64;
+
+const KEY_LENGTH = 32;
+
+/**
+ * Hash a room passcode as "salt:hash" (hex, scrypt)
+ */
+export function hashPasscode(passcode) {
+  const salt = randomBytes(16).toString("hex");
+  const hash = scryptSync(passcode, salt, KEY_LENGTH).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a passcode against a stored "salt:hash" without leaking timing
+ */
+export function verifyPasscode(passcode, stored) {
+  if (typeof passcode !== "string" || !stored) return false;
+
+  const [salt, hash] = stored.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(passcode, salt, KEY_LENGTH);
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Random code for a room's invite link (rotating it invalidates old links)
+ */
+export function generateInviteCode() {
+  return randomBytes(12).toString("base64url");
+}
@@ -0,0 +1,64 @@
+/**
+ * Token bucket rate limiter. Each key (a socket id, an IP...) gets a bucket of
+ * `capacity` tokens that refills at `refillPerSecond`; a request takes one token.
+ */
+export function createRateLimiter({ capacity, refillPerSecond }) {
+  const buckets = new Map();
+
+  // Top a bucket up for the time elapsed since it was last used
+  function refill(bucket, now) {
+    const elapsedSec = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(capacity, bucket.tokens + elapsedSec * refillPerSecond);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    /**
+     * Take a token for a key. Returns false when the key is over its limit.
+     */
+    take(key) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: capacity, updatedAt: now };
+        buckets.set(key, bucket);
+      } else {
+        refill(bucket, now);
+      }
+
+      if (bucket.tokens < 1) return false;
+
+      bucket.tokens -= 1;
+      return true;
+    },
+
+    /**
+     * Seconds until a key gets its next token
+     */
+    retryAfter(key) {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.tokens >= 1) return 0;
+      return Math.ceil((1 - bucket.tokens) / refillPerSecond);
+    },
+
+    /**
+     * Forget a key (e.g. a socket that disconnected)
+     */
+    remove(key) {
+      buckets.delete(key);
+    },
+
+    /**
+     * Drop buckets that have refilled completely (they behave like new ones)
+     */
+    prune() {
+      const now = Date.now();
+      for (const [key, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= capacity) {
+          buckets.delete(key);
+        }
+      }
+    },
+  };
+}
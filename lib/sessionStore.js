@@ -0,0 +1,60 @@
+import session from "express-session";
+
+const { Store } = session;
+
+/**
+ * express-session store backed by the app's SQLite database, so sessions (and the
+ * rooms they joined) survive restarts. Expired rows are deleted by `db.pruneExpiredSessions()`.
+ */
+export class SqliteSessionStore extends Store {
+  /**
+   * @param {object} db - the `db` object from db/index.js
+   * @param {number} ttlMs - lifetime of sessions whose cookie has no expiry
+   */
+  constructor(db, ttlMs) {
+    super();
+    this.db = db;
+    this.ttlMs = ttlMs;
+  }
+
+  // When a session expires: its cookie's expiry, or the default lifetime from now
+  expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + this.ttlMs;
+  }
+
+  get(sid, callback) {
+    try {
+      callback(null, this.db.getSession(sid));
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  set(sid, sess, callback) {
+    try {
+      this.db.saveSession(sid, sess, this.expiresAt(sess));
+      callback?.(null);
+    } catch (error) {
+      callback?.(error);
+    }
+  }
+
+  touch(sid, sess, callback) {
+    try {
+      this.db.touchSession(sid, this.expiresAt(sess));
+      callback?.(null);
+    } catch (error) {
+      callback?.(error);
+    }
+  }
+
+  destroy(sid, callback) {
+    try {
+      this.db.deleteSession(sid);
+      callback?.(null);
+    } catch (error) {
+      callback?.(error);
+    }
+  }
+}
@@ -0,0 +1,166 @@
+import { BREAK_CARD_VALUE, isSpecialCard } from "./decks.js";
+
+const BREAK_VOTE_RATIO = 0.5; // Suggest a break when half of the votes are ☕
+
+// Round to one decimal place
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Count votes for each special card ("?", "☕", "∞")
+ */
+function countSpecialVotes(points) {
+  const counts = {};
+  for (const point of points) {
+    if (isSpecialCard(point)) {
+      counts[point] = (counts[point] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Average of numeric votes as a string with one decimal (e.g. "5.3"), or null
+ */
+function calculateAverage(points) {
+  const numericVotes = points.filter((p) => typeof p === "number");
+
+  return numericVotes.length > 0
+    ? (numericVotes.reduce((a, b) => a + b, 0) / numericVotes.length).toFixed(1)
+    : null;
+}
+
+/**
+ * Median of numeric votes
+ */
+function calculateMedian(numericVotes) {
+  if (numericVotes.length === 0) return null;
+
+  const sorted = [...numericVotes].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? round1((sorted[middle - 1] + sorted[middle]) / 2)
+    : sorted[middle];
+}
+
+/**
+ * Population standard deviation of numeric votes
+ */
+function calculateStdDev(numericVotes) {
+  if (numericVotes.length === 0) return null;
+
+  const mean = numericVotes.reduce((a, b) => a + b, 0) / numericVotes.length;
+  const variance =
+    numericVotes.reduce((sum, v) => sum + (v - mean) ** 2, 0) / numericVotes.length;
+  return round1(Math.sqrt(variance));
+}
+
+/**
+ * Most frequent card value(s). Ties return every tied value in deck order.
+ */
+function calculateModes(points, deckIndex) {
+  if (points.length === 0) return [];
+
+  const counts = new Map();
+  for (const point of points) {
+    counts.set(point, (counts.get(point) || 0) + 1);
+  }
+  const maxCount = Math.max(...counts.values());
+
+  return [...counts.entries()]
+    .filter(([, count]) => count === maxCount)
+    .map(([point]) => point)
+    .sort((a, b) => deckIndex(a) - deckIndex(b));
+}
+
+/**
+ * Numeric deck card closest to the average. Ties round up to the bigger card.
+ */
+function findNearestCard(average, deck) {
+  if (average === null) return null;
+
+  let nearest = null;
+  for (const card of deck) {
+    if (typeof card.value !== "number") continue;
+    if (
+      nearest === null ||
+      Math.abs(card.value - average) <= Math.abs(nearest.value - average)
+    ) {
+      nearest = card;
+    }
+  }
+  return nearest ? nearest.value : null;
+}
+
+/**
+ * Middle estimate in deck order, used to suggest a card for non-numeric decks (e.g. T-shirt sizes)
+ */
+function findMedianCard(indexes, deck) {
+  if (indexes.length === 0) return null;
+
+  const sorted = [...indexes].sort((a, b) => a - b);
+  return deck[sorted[Math.floor(sorted.length / 2)]].value;
+}
+
+/**
+ * Summarize the votes of a revealed round.
+ *
+ * Special cards are left out of every statistic and counted separately.
+ * Consensus means every vote is the same card, or all estimates sit within
+ * one step of each other in the deck (with nobody voting "?" or "∞").
+ * When there is no consensus, the members holding the lowest and highest
+ * estimates are returned as outliers so they can explain their reasoning first.
+ */
+export function summarizeVotes(members, deck) {
+  const votes = members.filter((m) => m.point !== null);
+  const points = votes.map((m) => m.point);
+  const estimates = votes.filter((m) => !isSpecialCard(m.point));
+  const numericVotes = estimates
+    .map((m) => m.point)
+    .filter((p) => typeof p === "number");
+
+  const deckIndex = (value) => deck.findIndex((c) => c.value === value);
+  const specialVotes = countSpecialVotes(points);
+  const average = calculateAverage(points);
+
+  // Spread of estimates in deck steps
+  const indexes = estimates.map((m) => deckIndex(m.point));
+  const lowIndex = indexes.length > 0 ? Math.min(...indexes) : null;
+  const highIndex = indexes.length > 0 ? Math.max(...indexes) : null;
+
+  const allEqual = points.length > 0 && points.every((p) => p === points[0]);
+  const blockingSpecialVotes = Object.keys(specialVotes).some(
+    (value) => value !== BREAK_CARD_VALUE,
+  );
+  const consensus =
+    allEqual ||
+    (estimates.length > 0 && !blockingSpecialVotes && highIndex - lowIndex <= 1);
+
+  const outliers =
+    consensus || lowIndex === highIndex
+      ? { low: [], high: [] }
+      : {
+          low: estimates.filter((m) => deckIndex(m.point) === lowIndex).map((m) => m.name),
+          high: estimates.filter((m) => deckIndex(m.point) === highIndex).map((m) => m.name),
+        };
+
+  const breakVotes = specialVotes[BREAK_CARD_VALUE] || 0;
+
+  return {
+    average,
+    median: calculateMedian(numericVotes),
+    mode: calculateModes(estimates.map((m) => m.point), deckIndex),
+    min: numericVotes.length > 0 ? Math.min(...numericVotes) : null,
+    max: numericVotes.length > 0 ? Math.max(...numericVotes) : null,
+    stdDev: calculateStdDev(numericVotes),
+    suggestedCard:
+      average !== null
+        ? findNearestCard(Number(average), deck)
+        : findMedianCard(indexes, deck),
+    consensus,
+    outliers,
+    specialVotes,
+    breakRequested: breakVotes > 0 && breakVotes >= points.length * BREAK_VOTE_RATIO,
+  };
+}
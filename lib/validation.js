@@ -0,0 +1,160 @@
+import { MAX_PASSCODE_LENGTH } from "./passcode.js";
+
+export const MAX_NAME_LENGTH = 30;
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_ID_LENGTH = 64;
+const MAX_CARD_LENGTH = 16;
+const MAX_STORIES = 200;
+const MAX_CUSTOM_DECK_LENGTH = 500;
+
+// Field types: "string", "number", "boolean", "card" (a deck value: number or short string) and "ids" (array of ids)
+const roomId = { type: "string", required: true, max: MAX_ID_LENGTH };
+const memberName = { type: "string", required: true, max: MAX_NAME_LENGTH };
+const card = { type: "card", required: true };
+
+/**
+ * Payload schema for every socket event a client may send
+ */
+export const EVENT_SCHEMAS = {
+  "room:join": {
+    roomId,
+    name: { type: "string", max: MAX_NAME_LENGTH, label: "Name" },
+    role: { type: "string", max: MAX_ID_LENGTH },
+    invite: { type: "string", max: MAX_ID_LENGTH },
+    passcode: { type: "string", max: MAX_PASSCODE_LENGTH },
+  },
+  "vote:submit": { roomId, point: card },
+  "votes:reveal": { roomId },
+  "votes:reset": { roomId },
+  "room:extend": { roomId, minutes: { type: "number", required: true } },
+  "member:promote": { roomId, memberName },
+  "member:remove": { roomId, memberName, ban: { type: "boolean" } },
+  "estimate:set": { roomId, estimate: card },
+  "story:add": {
+    roomId,
+    title: { type: "string", required: true, max: MAX_TITLE_LENGTH, label: "The story title" },
+    description: { type: "string", max: MAX_DESCRIPTION_LENGTH, label: "The description" },
+  },
+  "story:reorder": { roomId, storyIds: { type: "ids", required: true, max: MAX_STORIES } },
+  "room:settings": {
+    roomId,
+    autoReveal: { type: "boolean" },
+    countdownSeconds: { type: "number" },
+    allowRevotes: { type: "boolean" },
+  },
+  "countdown:start": { roomId, seconds: { type: "number" } },
+  "room:rotateInvite": { roomId },
+  "audit:fetch": { roomId },
+  "room:end": { roomId },
+};
+
+/**
+ * Form fields of the create room page
+ */
+export const REGISTER_SCHEMA = {
+  name: { type: "string", required: true, max: MAX_NAME_LENGTH, label: "Your name" },
+  taskTitle: { type: "string", required: true, max: MAX_TITLE_LENGTH, label: "The task title" },
+  taskDescription: { type: "string", max: MAX_DESCRIPTION_LENGTH, label: "The description" },
+  deckType: { type: "string", max: MAX_ID_LENGTH },
+  customDeck: { type: "string", max: MAX_CUSTOM_DECK_LENGTH, label: "The custom deck" },
+  passcode: { type: "string", max: MAX_PASSCODE_LENGTH, label: "The passcode" },
+};
+
+/**
+ * Form fields of the join page
+ */
+export const JOIN_SCHEMA = {
+  name: { type: "string", required: true, max: MAX_NAME_LENGTH, label: "Your name" },
+};
+
+/**
+ * JSON bodies of the REST API (/api/v1)
+ */
+export const API_SCHEMAS = {
+  createRoom: {
+    ...REGISTER_SCHEMA,
+    specialCards: { type: "boolean" },
+    duration: { type: "number" },
+    countdownSeconds: { type: "number" },
+    autoReveal: { type: "boolean" },
+    allowRevotes: { type: "boolean" },
+  },
+  join: {
+    ...JOIN_SCHEMA,
+    role: { type: "string", max: MAX_ID_LENGTH },
+    invite: { type: "string", max: MAX_ID_LENGTH },
+    passcode: { type: "string", max: MAX_PASSCODE_LENGTH },
+  },
+  vote: { point: card },
+};
+
+// Check one value against its field rule; returns a problem description or null
+function checkField(value, rule) {
+  switch (rule.type) {
+    case "string":
+      return typeof value === "string" ? null : "must be text";
+    case "number":
+      return Number.isFinite(value) ? null : "must be a number";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "card":
+      if (Number.isFinite(value)) return null;
+      return typeof value === "string" && value.length > 0 && value.length <= MAX_CARD_LENGTH
+        ? null
+        : "must be a card value";
+    case "ids":
+      if (!Array.isArray(value) || value.length > rule.max) return "must be a list of ids";
+      return value.every((id) => typeof id === "string" && id.length <= MAX_ID_LENGTH)
+        ? null
+        : "must be a list of ids";
+    default:
+      return "is not allowed";
+  }
+}
+
+/**
+ * Validate a payload (socket event data or form body) against a schema.
+ * Unknown keys are ignored; optional fields may be missing or null.
+ * Returns null when valid, otherwise { code, field, message }.
+ */
+export function validatePayload(schema, payload) {
+  if (payload === null || typeof payload !== "object" || Array.isArray(payload)) {
+    return { code: "INVALID_PAYLOAD", field: null, message: "Invalid request." };
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+
+    const blank = typeof value === "string" && value.trim() === "";
+    if (value === undefined || value === null || blank) {
+      if (rule.required) {
+        return {
+          code: "VALUE_REQUIRED",
+          field,
+          message: `${rule.label || field} is required.`,
+        };
+      }
+      continue;
+    }
+
+    const problem = checkField(value, rule);
+    if (problem) {
+      return {
+        code: "INVALID_PAYLOAD",
+        field,
+        message: `${rule.label || field} ${problem}.`,
+      };
+    }
+
+    if (rule.type === "string" && rule.max && value.length > rule.max) {
+      return {
+        code: "VALUE_TOO_LONG",
+        field,
+        message: `${rule.label || field} must be at most ${rule.max} characters.`,
+      };
+    }
+  }
+
+  return null;
+}
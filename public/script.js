@@ -1,24 +1,23 @@
-// Planning Poker card data
-const cards = [
-  { value: 0, emoji: "😴", label: "No effort" },
-  { value: 1, emoji: "🔥", label: "Tiny" },
-  { value: 2, emoji: "🚀", label: "Small" },
-  { value: 3, emoji: "🦄", label: "Small-Med" },
-  { value: 5, emoji: "🤓", label: "Medium" },
-  { value: 8, emoji: "💪", label: "Large" },
-  { value: 13, emoji: "🧙", label: "X-Large" },
-  { value: 20, emoji: "🐙", label: "Huge" },
-  { value: 40, emoji: "👹", label: "Massive" },
-  { value: 100, emoji: "⚡💀", label: "Epic!" },
-];
+// Planning Poker card data (the room's deck is sent by the server on join)
+let cards = [];
 
 // State
 let selectedCard = null;
 let socket = null;
 let isAdmin = false;
 let userName = null;
+let userRole = "voter";
 let roomId = null;
 let timerInterval = null;
+let countdownInterval = null;
+let expiresAt = null;
+let serverTimeOffset = 0; // Server clock minus client clock, in milliseconds
+let stories = [];
+let currentStoryId = null;
+let roundHistory = [];
+let currentMembers = [];
+let lastResults = null;
+let allowRevotes = false;
 
 // DOM Elements
 const cardsGrid = document.getElementById("cardsGrid");
@@ -30,6 +29,9 @@ const toastMessage = document.getElementById("toastMessage");
 const errorToast = document.getElementById("errorToast");
 const errorToastMessage = document.getElementById("errorToastMessage");
 const membersGrid = document.getElementById("membersGrid");
+const observersList = document.getElementById("observersList");
+const voteProgress = document.getElementById("voteProgress");
+const submitSection = document.getElementById("submitSection");
 const adminControls = document.getElementById("adminControls");
 const revealBtn = document.getElementById("revealBtn");
 const resetBtn = document.getElementById("resetBtn");
@@ -37,11 +39,47 @@ const endBtn = document.getElementById("endBtn");
 const resultsSection = document.getElementById("resultsSection");
 const averageValue = document.getElementById("averageValue");
 const votesBreakdown = document.getElementById("votesBreakdown");
+const voteChanges = document.getElementById("voteChanges");
+const specialVotesBreakdown = document.getElementById("specialVotesBreakdown");
+const breakBanner = document.getElementById("breakBanner");
+const statsGrid = document.getElementById("statsGrid");
+const consensusBanner = document.getElementById("consensusBanner");
+const finalEstimate = document.getElementById("finalEstimate");
+const finalEstimateValue = document.getElementById("finalEstimateValue");
+const estimateControls = document.getElementById("estimateControls");
+const estimateSelect = document.getElementById("estimateSelect");
+const lockEstimateBtn = document.getElementById("lockEstimateBtn");
 const roomLinkInput = document.getElementById("roomLink");
 const copyLinkBtn = document.getElementById("copyLinkBtn");
+const rotateInviteBtn = document.getElementById("rotateInviteBtn");
+const leaveForm = document.getElementById("leaveForm");
 const timerDisplay = document.getElementById("timerDisplay");
+const extendControls = document.getElementById("extendControls");
+const extendMinutesSelect = document.getElementById("extendMinutes");
+const extendBtn = document.getElementById("extendBtn");
+const expiryBanner = document.getElementById("expiryBanner");
+const expiryMessage = document.getElementById("expiryMessage");
+const expiryExtendBtn = document.getElementById("expiryExtendBtn");
 const cardsSection = document.getElementById("cardsSection");
+const countdownBanner = document.getElementById("countdownBanner");
+const countdownDisplay = document.getElementById("countdownDisplay");
+const autoRevealToggle = document.getElementById("autoRevealToggle");
+const allowRevotesToggle = document.getElementById("allowRevotesToggle");
+const countdownSecondsSelect = document.getElementById("countdownSeconds");
+const countdownBtn = document.getElementById("countdownBtn");
 const roomDataElement = document.getElementById("room-data");
+const taskTitleInput = document.getElementById("taskTitle");
+const taskDescriptionInput = document.getElementById("taskDescription");
+const storiesList = document.getElementById("storiesList");
+const storyForm = document.getElementById("storyForm");
+const storyTitleInput = document.getElementById("storyTitle");
+const storyDescriptionInput = document.getElementById("storyDescription");
+const historyList = document.getElementById("historyList");
+const auditSection = document.getElementById("auditSection");
+const auditList = document.getElementById("auditList");
+const refreshAuditBtn = document.getElementById("refreshAuditBtn");
+const deckTypeSelect = document.getElementById("deckType");
+const customDeckGroup = document.getElementById("customDeckGroup");
 
 // Initialize
 document.addEventListener("DOMContentLoaded", () => {
@@ -49,6 +87,14 @@ document.addEventListener("DOMContentLoaded", () => {
   if (roomDataElement) {
     initializeRoom();
   }
+
+  // Create room page: toggle custom deck input
+  if (deckTypeSelect && customDeckGroup) {
+    deckTypeSelect.addEventListener("change", () => {
+      customDeckGroup.style.display =
+        deckTypeSelect.value === "custom" ? "block" : "none";
+    });
+  }
 });
 
 // Get room data from data attributes
@@ -79,10 +125,17 @@ function initializeRoom() {
   if (copyLinkBtn) {
     copyLinkBtn.addEventListener("click", copyRoomLink);
   }
+  if (rotateInviteBtn) {
+    rotateInviteBtn.addEventListener("click", handleRotateInvite);
+  }
 
-  // Render cards
-  if (cardsGrid) {
-    renderCards();
+  // Confirm before leaving the room
+  if (leaveForm) {
+    leaveForm.addEventListener("submit", (e) => {
+      if (!confirm("Leave this room? Your seat and vote will be given up.")) {
+        e.preventDefault();
+      }
+    });
   }
 
   // Setup submit button
@@ -100,6 +153,33 @@ function initializeRoom() {
   if (endBtn) {
     endBtn.addEventListener("click", handleEndSession);
   }
+  if (storyForm) {
+    storyForm.addEventListener("submit", handleAddStory);
+  }
+  if (lockEstimateBtn) {
+    lockEstimateBtn.addEventListener("click", handleLockEstimate);
+  }
+  if (extendBtn) {
+    extendBtn.addEventListener("click", handleExtendRoom);
+  }
+  if (expiryExtendBtn) {
+    expiryExtendBtn.addEventListener("click", handleExtendRoom);
+  }
+  if (autoRevealToggle) {
+    autoRevealToggle.addEventListener("change", handleSettingsChange);
+  }
+  if (allowRevotesToggle) {
+    allowRevotesToggle.addEventListener("change", handleSettingsChange);
+  }
+  if (countdownSecondsSelect) {
+    countdownSecondsSelect.addEventListener("change", handleSettingsChange);
+  }
+  if (countdownBtn) {
+    countdownBtn.addEventListener("click", handleStartCountdown);
+  }
+  if (refreshAuditBtn) {
+    refreshAuditBtn.addEventListener("click", fetchAuditLog);
+  }
 
   // Connect to WebSocket
   connectSocket();
@@ -124,22 +204,41 @@ function connectSocket() {
     console.log("Joined room:", data);
     isAdmin = data.isAdmin;
     userName = data.userName;
+    userRole = data.role || "voter";
+
+    // Render the room's deck
+    cards = data.room.deck || [];
+    renderCards();
+
+    // Observers watch without voting
+    if (userRole === "observer") {
+      applyObserverUI();
+    }
 
     // Update UI with room data
     updateMembersGrid(data.room.members);
+    updateStories(data.room);
+    roundHistory = data.room.history || [];
+    renderHistory();
 
     // Show admin controls if admin
-    if (isAdmin && adminControls) {
-      adminControls.style.display = "flex";
+    if (isAdmin) {
+      applyAdminUI();
     }
 
     // If votes were already revealed
     if (data.room.revealed) {
-      showResults(data.room.members, null);
+      showResults(data.room.members, data.room.results);
     }
 
-    // Start timer
-    startTimer();
+    // Start timer from the server's authoritative expiry
+    startTimer(data.room.expiresAt, data.serverTime);
+
+    // Voting settings and a countdown that is already running
+    updateVotingSettings(data.room);
+    if (data.room.countdownEndsAt && !data.room.revealed) {
+      startCountdown(data.room.countdownEndsAt, data.serverTime);
+    }
 
     showToast(`Welcome, ${userName}! 👋`);
   });
@@ -155,7 +254,11 @@ function connectSocket() {
   socket.on("room:memberLeft", (data) => {
     console.log("Member left:", data);
     updateMembersGrid(data.members);
-    showToast(`${data.memberName} left the room 👋`);
+    showToast(
+      data.reason === "removed"
+        ? `${data.memberName} was removed from the room 🚪`
+        : `${data.memberName} left the room 👋`,
+    );
   });
 
   // Member disconnected (temporary)
@@ -181,15 +284,103 @@ function connectSocket() {
   // Votes revealed
   socket.on("votes:revealed", (data) => {
     console.log("Votes revealed:", data);
-    showResults(data.members, data.average);
+    stopCountdown();
+    showResults(data.members, data);
+  });
+
+  // A vote changed after the reveal (rooms that allow revotes)
+  socket.on("vote:changed", (data) => {
+    console.log("Vote changed:", data);
+    showResults(data.members, data);
+    showToast(`${data.memberName} changed their vote: ${data.previousPoint ?? "–"} → ${data.point} 🔁`);
   });
 
   // Votes reset
   socket.on("votes:reset", (data) => {
     console.log("Votes reset:", data);
+    const storyChanged = data.currentStoryId !== currentStoryId;
+    stopCountdown();
     resetVotingUI();
     updateMembersGrid(data.members);
-    showToast("New round started! 🔄");
+    updateStories(data);
+    showToast(storyChanged ? `Next story: ${data.taskTitle} ➡️` : "New round started! 🔄");
+  });
+
+  // Revealed round stored in history
+  socket.on("history:recorded", (data) => {
+    console.log("Round recorded:", data);
+    roundHistory.push(data.round);
+    renderHistory();
+  });
+
+  // Activity log for the admin panel
+  socket.on("audit:log", (data) => {
+    renderAuditLog(data.events || []);
+  });
+
+  // Member promoted to admin (manually or by automatic handover)
+  socket.on("member:promoted", (data) => {
+    console.log("Member promoted:", data);
+
+    if (data.memberName === userName && !isAdmin) {
+      isAdmin = true;
+      applyAdminUI();
+      showToast(
+        data.automatic
+          ? "The admin left, so you are now an admin 👑"
+          : "You are now a co-admin 👑",
+      );
+    } else {
+      showToast(`${data.memberName} is now an admin 👑`);
+    }
+
+    updateMembersGrid(data.members);
+  });
+
+  // Room lifetime extended (by the admin, or automatically to finish a round)
+  socket.on("room:extended", (data) => {
+    console.log("Room extended:", data);
+    startTimer(data.expiresAt, data.serverTime);
+    hideExpiryBanner();
+    showToast(
+      data.grace
+        ? `Voting in progress — room kept open ${data.minutes} more minutes ⏳`
+        : `Room extended by ${data.minutes} minutes ⏩`,
+    );
+  });
+
+  // Room is about to expire
+  socket.on("room:expiring", (data) => {
+    console.log("Room expiring:", data);
+    startTimer(data.expiresAt, data.serverTime);
+    showExpiryBanner(data.remainingMs);
+  });
+
+  // Voting countdown started by the admin
+  socket.on("countdown:started", (data) => {
+    console.log("Countdown started:", data);
+    startCountdown(data.endsAt, data.serverTime);
+    showToast(`${data.seconds} seconds left to vote ⏳`);
+  });
+
+  // Auto-reveal / countdown settings changed
+  socket.on("room:settingsUpdated", (data) => {
+    console.log("Settings updated:", data);
+    updateVotingSettings(data);
+    showToast("Voting settings updated ⚙️");
+  });
+
+  // Final estimate locked in
+  socket.on("estimate:set", (data) => {
+    console.log("Estimate set:", data);
+    updateStories(data);
+    showToast(`Final estimate: ${data.estimate} 🔒`);
+  });
+
+  // Backlog changed
+  socket.on("stories:updated", (data) => {
+    console.log("Stories updated:", data);
+    updateStories(data);
   });
 
   // Room ended
@@ -200,6 +391,25 @@ function connectSocket() {
     }, 2000);
   });
 
+  // Invite link replaced by an admin
+  socket.on("room:inviteRotated", (data) => {
+    console.log("Invite rotated:", data);
+    if (roomLinkInput) {
+      const url = new URL(roomLinkInput.value);
+      url.searchParams.set("invite", data.inviteCode);
+      roomLinkInput.value = url.toString();
+    }
+    showToast("New invite link — the old one no longer works 🔁");
+  });
+
+  // Removed (or banned) by an admin
+  socket.on("room:removed", (data) => {
+    showErrorToast(data.message);
+    setTimeout(() => {
+      window.location.href = "/play";
+    }, 2000);
+  });
+
   // Room expired
   socket.on("room:expired", (data) => {
     showErrorToast(data.message);
@@ -225,38 +435,95 @@ function connectSocket() {
   });
 }
 
+// DOM helpers: everything shown from the server (names, titles, votes) is set as text, never parsed as HTML
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Build an element with an optional class and text
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== null && text !== undefined) {
+    element.textContent = String(text);
+  }
+  return element;
+}
+
+// Build a button with a tooltip and a click handler
+function createButton(className, label, title, onClick) {
+  const button = createElement("button", className, label);
+  button.type = "button";
+  button.title = title;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// Checkmark shown on the selected card
+function createCheckIcon() {
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("viewBox", "0 0 24 24");
+  svg.setAttribute("fill", "currentColor");
+
+  const path = document.createElementNS(SVG_NS, "path");
+  path.setAttribute("fill-rule", "evenodd");
+  path.setAttribute("clip-rule", "evenodd");
+  path.setAttribute(
+    "d",
+    "M19.916 4.626a.75.75 0 01.208 1.04l-9 13.5a.75.75 0 01-1.154.114l-6-6a.75.75 0 011.06-1.06l5.353 5.353 8.493-12.739a.75.75 0 011.04-.208z",
+  );
+  svg.appendChild(path);
+  return svg;
+}
+
+// One entry of the vote breakdown: emoji, value and how many voted it
+function createVoteItem(emoji, value, count) {
+  const item = createElement("div", "vote-item");
+  item.append(
+    createElement("span", "vote-item-emoji", emoji),
+    createElement("span", "vote-item-value", value),
+    createElement("span", "vote-item-count", `×${count}`),
+  );
+  return item;
+}
+
 // Generate cards
 function renderCards() {
   if (!cardsGrid) return;
 
-  cardsGrid.innerHTML = cards
-    .map(
-      (card, index) => `
-        <div class="poker-card" data-index="${index}" data-value="${card.value}">
-          <div class="card-inner">
-            <div class="card-corner top-left">
-              <span class="card-corner-emoji">${card.emoji}</span>
-            </div>
-            <span class="card-number">${card.value}</span>
-            <span class="card-emoji">${card.emoji}</span>
-            <div class="card-corner bottom-right">
-              <span class="card-corner-emoji">${card.emoji}</span>
-            </div>
-            <div class="selected-indicator">
-              <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
-                <path fill-rule="evenodd" d="M19.916 4.626a.75.75 0 01.208 1.04l-9 13.5a.75.75 0 01-1.154.114l-6-6a.75.75 0 011.06-1.06l5.353 5.353 8.493-12.739a.75.75 0 011.04-.208z" clip-rule="evenodd" />
-              </svg>
-            </div>
-          </div>
-        </div>
-    `,
-    )
-    .join("");
-
-  // Add click handlers
-  document.querySelectorAll(".poker-card").forEach((card) => {
-    card.addEventListener("click", () => selectCard(card));
-  });
+  cardsGrid.replaceChildren(
+    ...cards.map((card, index) => {
+      const cardElement = createElement("div", "poker-card");
+      cardElement.classList.toggle("special", Boolean(card.special));
+      cardElement.classList.toggle(
+        "selected",
+        Boolean(selectedCard) && String(selectedCard.value) === String(card.value),
+      );
+      cardElement.dataset.index = index;
+      cardElement.dataset.value = card.value;
+
+      const topCorner = createElement("div", "card-corner top-left");
+      topCorner.appendChild(createElement("span", "card-corner-emoji", card.emoji));
+      const bottomCorner = createElement("div", "card-corner bottom-right");
+      bottomCorner.appendChild(createElement("span", "card-corner-emoji", card.emoji));
+      const indicator = createElement("div", "selected-indicator");
+      indicator.appendChild(createCheckIcon());
+
+      const inner = createElement("div", "card-inner");
+      inner.append(
+        topCorner,
+        createElement("span", "card-number", card.value),
+        createElement("span", "card-emoji", card.emoji),
+        bottomCorner,
+        indicator,
+      );
+      cardElement.appendChild(inner);
+
+      // Add click handler
+      cardElement.addEventListener("click", () => selectCard(cardElement));
+      return cardElement;
+    }),
+  );
 }
 
 // Select card
@@ -288,94 +555,427 @@ function updateSelectionDisplay() {
 
   if (selectedCard) {
     selectionDisplay.classList.add("has-selection");
-    selectionDisplay.innerHTML = `
-      <div class="selection-value">
-        <span class="selection-emoji">${selectedCard.emoji}</span>
-        <div class="selection-text">
-          <div class="selection-points">${selectedCard.value} ${selectedCard.value === 1 ? "Point" : "Points"}</div>
-          <div class="selection-label">${selectedCard.label}</div>
-        </div>
-      </div>
-    `;
+
+    const text = createElement("div", "selection-text");
+    text.append(
+      createElement("div", "selection-points", formatCardValue(selectedCard.value)),
+      createElement("div", "selection-label", selectedCard.label),
+    );
+    const value = createElement("div", "selection-value");
+    value.append(createElement("span", "selection-emoji", selectedCard.emoji), text);
+
+    selectionDisplay.replaceChildren(value);
   } else {
     selectionDisplay.classList.remove("has-selection");
-    selectionDisplay.innerHTML =
-      '<p class="selection-placeholder">👆 Pick a card to estimate</p>';
+    selectionDisplay.replaceChildren(
+      createElement("p", "selection-placeholder", "👆 Pick a card to estimate"),
+    );
   }
 }
 
 // Update members grid
-function updateMembersGrid(members) {
+function updateMembersGrid(members, outliers = null) {
   if (!membersGrid) return;
 
-  membersGrid.innerHTML = members
-    .map(
-      (member) => `
-      <div class="member-card ${member.hasVoted ? "voted" : ""} ${member.connected === false ? "disconnected" : ""}">
-        <div class="member-avatar">
-          ${member.name.charAt(0).toUpperCase()}
-        </div>
-        <div class="member-name">${member.name}</div>
-        <div class="member-status">
-          ${
-            member.connected === false
-              ? '<span class="vote-offline">offline</span>'
-              : member.point !== null
-                ? `<span class="vote-value">${member.point}</span>`
-                : member.hasVoted
-                  ? '<span class="vote-hidden">✓</span>'
-                  : '<span class="vote-pending">...</span>'
-          }
-        </div>
-      </div>
-    `,
-    )
-    .join("");
+  currentMembers = members;
+
+  // Observers are listed apart from the voters
+  const voters = members.filter((m) => m.role !== "observer");
+  const observers = members.filter((m) => m.role === "observer");
+  renderObservers(observers);
+
+  if (voteProgress) {
+    const votedCount = voters.filter((m) => m.hasVoted).length;
+    voteProgress.textContent = `${votedCount} / ${voters.length} voted`;
+  }
+
+  membersGrid.replaceChildren(
+    ...voters.map((member) => {
+      const memberCard = createElement("div", "member-card");
+      memberCard.classList.toggle("voted", Boolean(member.hasVoted));
+      memberCard.classList.toggle("disconnected", isOffline(member));
+      const outlierClass = getOutlierClass(member.name, outliers);
+      if (outlierClass) {
+        memberCard.classList.add(outlierClass);
+      }
+
+      const avatar = createElement("div", "member-avatar", member.name.charAt(0).toUpperCase());
+      if (member.isAdmin) {
+        const badge = createElement("span", "admin-badge", "👑");
+        badge.title = "Admin";
+        avatar.appendChild(badge);
+      }
+
+      const status = createElement("div", "member-status");
+      status.append(...createVoteStatus(member));
+
+      memberCard.append(
+        avatar,
+        createElement("div", "member-name", member.name),
+        ...createMemberActions(member, "👑 Promote", "✖ Remove"),
+        status,
+      );
+      return memberCard;
+    }),
+  );
+}
+
+// Show a member's vote: offline, pending, voted (hidden), revealed, or changed since the reveal
+function createVoteStatus(member) {
+  if (isOffline(member)) {
+    return [createElement("span", "vote-offline", "offline")];
+  }
+  if (member.point !== null && hasChangedVote(member)) {
+    return [
+      createElement("span", "vote-original", member.originalPoint ?? "–"),
+      " → ",
+      createElement("span", "vote-value", member.point),
+    ];
+  }
+  if (member.point !== null) {
+    return [createElement("span", "vote-value", member.point)];
+  }
+  return member.hasVoted
+    ? [createElement("span", "vote-hidden", "✓")]
+    : [createElement("span", "vote-pending", "...")];
+}
+
+// Members who joined over the REST API have no socket, but they're never offline
+function isOffline(member) {
+  return member.connected === false && member.source !== "api";
+}
+
+// Promote and remove buttons next to a member (admin only)
+function createMemberActions(member, promoteLabel, removeLabel) {
+  if (!isAdmin || member.isAdmin) return [];
+
+  const actions = [];
+  if (!isOffline(member)) {
+    actions.push(
+      createButton("promote-btn", promoteLabel, "Make co-admin", () => handlePromoteMember(member)),
+    );
+  }
+  actions.push(
+    createButton("remove-btn", removeLabel, "Remove from room", () => handleRemoveMember(member)),
+  );
+  return actions;
+}
+
+// Render the observers watching the session
+function renderObservers(observers) {
+  if (!observersList) return;
+
+  if (observers.length === 0) {
+    observersList.style.display = "none";
+    observersList.replaceChildren();
+    return;
+  }
+
+  observersList.style.display = "flex";
+  observersList.replaceChildren(
+    createElement("span", "observers-label", "👀 Observers"),
+    ...observers.map((observer) => {
+      const chip = createElement(
+        "span",
+        "observer-chip",
+        `${observer.isAdmin ? "👑 " : ""}${observer.name}`,
+      );
+      chip.classList.toggle("disconnected", isOffline(observer));
+      chip.append(...createMemberActions(observer, "👑", "✖"));
+      return chip;
+    }),
+  );
+}
+
+// Hide the voting controls for observers
+function applyObserverUI() {
+  if (cardsSection) {
+    cardsSection.style.display = "none";
+  }
+  if (selectionDisplay) {
+    selectionDisplay.style.display = "none";
+  }
+  if (submitSection) {
+    submitSection.style.display = "none";
+  }
+}
+
+// Show every admin-only control (on join, or after being promoted)
+function applyAdminUI() {
+  if (adminControls) {
+    adminControls.style.display = "flex";
+  }
+  if (storyForm) {
+    storyForm.style.display = "flex";
+  }
+  if (extendControls) {
+    extendControls.style.display = "flex";
+  }
+  if (rotateInviteBtn) {
+    rotateInviteBtn.style.display = "inline-block";
+  }
+  if (auditSection) {
+    auditSection.style.display = "block";
+  }
+  fetchAuditLog();
+
+  // Refresh views that render admin-only buttons
+  renderStories();
+  updateMembersGrid(currentMembers);
+
+  if (resultsSection && resultsSection.style.display !== "none") {
+    revealBtn.style.display = "none";
+    resetBtn.style.display = "inline-flex";
+    renderEstimateControls(lastResults?.suggestedCard);
+  }
+}
+
+// Update backlog and current story
+function updateStories(data) {
+  stories = data.stories || [];
+  currentStoryId = data.currentStoryId;
+
+  if (taskTitleInput) {
+    taskTitleInput.value = data.taskTitle || "";
+  }
+  if (taskDescriptionInput) {
+    taskDescriptionInput.value = data.taskDescription || "";
+  }
+
+  renderStories();
+  updateResetButton();
+  updateFinalEstimate();
+}
+
+// Show the locked-in estimate of the current story
+function updateFinalEstimate() {
+  if (!finalEstimate || !finalEstimateValue) return;
+
+  const story = stories.find((s) => s.id === currentStoryId);
+  const estimate = story ? story.estimate : null;
+
+  if (estimate === null || estimate === undefined) {
+    finalEstimate.style.display = "none";
+    return;
+  }
+
+  const card = cards[findCardIndex(estimate)];
+  finalEstimateValue.textContent = `${card ? card.emoji : "🎴"} ${estimate}`;
+  finalEstimate.style.display = "flex";
+
+  if (estimateSelect) {
+    estimateSelect.value = String(findCardIndex(estimate));
+  }
+}
+
+// Fill the admin's estimate picker, pre-selecting the suggested card
+function renderEstimateControls(suggestedCard) {
+  if (!estimateControls || !estimateSelect || !isAdmin) return;
+
+  const options = [];
+  cards.forEach((card, index) => {
+    if (!card.special) {
+      options.push(new Option(`${card.emoji} ${card.value}`, String(index)));
+    }
+  });
+  estimateSelect.replaceChildren(...options);
+
+  const story = stories.find((s) => s.id === currentStoryId);
+  const preset = story?.estimate ?? suggestedCard;
+  if (preset !== null && preset !== undefined) {
+    estimateSelect.value = String(findCardIndex(preset));
+  }
+
+  estimateControls.style.display = "flex";
+}
+
+// Render backlog list
+function renderStories() {
+  if (!storiesList) return;
+
+  storiesList.replaceChildren(
+    ...stories.map((story, index) => {
+      const item = createElement("li", "story-item");
+      item.classList.add(story.status);
+      item.dataset.storyId = story.id;
+      item.append(
+        createElement(
+          "span",
+          "story-status",
+          story.status === "active" ? "▶️" : story.status === "done" ? "✅" : "⏳",
+        ),
+        createElement("span", "story-title", story.title),
+      );
+
+      if (story.estimate !== null) {
+        item.appendChild(createElement("span", "story-result", `🔒 ${story.estimate}`));
+      } else if (story.result !== null) {
+        item.appendChild(createElement("span", "story-result", story.result));
+      }
+
+      // Reorder buttons (admin only)
+      if (isAdmin) {
+        const moveUp = createButton("story-move-btn", "▲", "Move up", () => handleMoveStory(index, -1));
+        moveUp.disabled = index === 0;
+        const moveDown = createButton("story-move-btn", "▼", "Move down", () => handleMoveStory(index, 1));
+        moveDown.disabled = index === stories.length - 1;
+
+        const actions = createElement("span", "story-actions");
+        actions.append(moveUp, moveDown);
+        item.appendChild(actions);
+      }
+
+      return item;
+    }),
+  );
+}
+
+// Label the reset button depending on whether a next story is waiting
+function updateResetButton() {
+  if (!resetBtn) return;
+
+  resetBtn.textContent = stories.some((s) => s.status === "pending")
+    ? "➡️ Next Story"
+    : "🔄 New Round";
+}
+
+// Render round history (newest first)
+function renderHistory() {
+  if (!historyList) return;
+
+  if (roundHistory.length === 0) {
+    historyList.replaceChildren(createElement("p", "history-empty", "No rounds revealed yet."));
+    return;
+  }
+
+  historyList.replaceChildren(
+    ...roundHistory
+      .slice()
+      .reverse()
+      .map((round) => {
+        const header = createElement("div", "history-header");
+        header.append(
+          createElement("span", "history-title", round.storyTitle),
+          createElement(
+            "span",
+            "history-meta",
+            `Round ${round.roundNumber} · ${new Date(round.revealedAt).toLocaleTimeString()}`,
+          ),
+          createElement("span", "history-average", round.average ?? "-"),
+        );
+
+        const votes = createElement("div", "history-votes");
+        votes.append(
+          ...round.votes.map((vote) => {
+            const voteElement = createElement("span", "history-vote", `${vote.name}: `);
+            voteElement.appendChild(createElement("strong", null, vote.point));
+            return voteElement;
+          }),
+        );
+
+        const item = createElement("div", "history-item");
+        item.append(header, votes);
+        return item;
+      }),
+  );
+}
+
+// Ask the server for the room's activity log (admins only)
+function fetchAuditLog() {
+  if (!socket || !roomId || !isAdmin) return;
+  socket.emit("audit:fetch", { roomId: roomId });
+}
+
+// Render the activity log (newest first)
+function renderAuditLog(events) {
+  if (!auditList) return;
+
+  if (events.length === 0) {
+    auditList.replaceChildren(createElement("p", "history-empty", "No activity yet."));
+    return;
+  }
+
+  auditList.replaceChildren(
+    ...events
+      .slice()
+      .reverse()
+      .map((event) => {
+        const item = createElement("div", "history-item audit-item");
+        item.classList.add(event.type);
+        item.append(
+          createElement("span", "audit-time", new Date(event.createdAt).toLocaleTimeString()),
+          createElement("span", "audit-summary", event.summary),
+        );
+        return item;
+      }),
+  );
 }
 
 // Show results
-function showResults(members, average) {
+function showResults(members, results) {
   if (!resultsSection || !votesBreakdown || !averageValue) return;
 
-  // Update members grid with revealed votes
-  updateMembersGrid(members);
+  const specialVotes = results?.specialVotes || {};
+  lastResults = results;
+
+  // Update members grid with revealed votes, highlighting low/high outliers
+  updateMembersGrid(members, results?.outliers);
 
   // Show average
-  averageValue.textContent = average || "-";
+  averageValue.textContent = results?.average || "-";
+
+  // Show detailed statistics
+  renderStats(results);
+
+  // Final estimate (locked in by the admin)
+  renderEstimateControls(results?.suggestedCard);
+  updateFinalEstimate();
 
-  // Calculate vote distribution
-  const voteDistribution = {};
+  // Calculate vote distribution (special cards are shown separately). Card values come from custom
+  // decks, so they're kept in a Map rather than as object keys ("constructor" is a valid card)
+  const voteDistribution = new Map();
   members.forEach((m) => {
-    if (m.point !== null) {
-      voteDistribution[m.point] = (voteDistribution[m.point] || 0) + 1;
+    if (m.point !== null && !Object.hasOwn(specialVotes, m.point)) {
+      voteDistribution.set(m.point, (voteDistribution.get(m.point) || 0) + 1);
     }
   });
 
-  // Display vote breakdown
-  const sortedVotes = Object.entries(voteDistribution).sort(
-    (a, b) => parseInt(a[0]) - parseInt(b[0]),
+  // Display vote breakdown in deck order
+  const sortedVotes = [...voteDistribution.entries()].sort(
+    (a, b) => findCardIndex(a[0]) - findCardIndex(b[0]),
+  );
+  votesBreakdown.replaceChildren(
+    ...sortedVotes.map(([value, count]) => {
+      const card = cards[findCardIndex(value)];
+      return createVoteItem(card ? card.emoji : "🎴", value, count);
+    }),
   );
-  votesBreakdown.innerHTML = sortedVotes
-    .map(([value, count]) => {
-      const card = cards.find((c) => c.value === parseInt(value));
-      return `
-        <div class="vote-item">
-          <span class="vote-item-emoji">${card ? card.emoji : "🎴"}</span>
-          <span class="vote-item-value">${value}</span>
-          <span class="vote-item-count">×${count}</span>
-        </div>
-      `;
-    })
-    .join("");
+
+  // Display special card votes
+  if (specialVotesBreakdown) {
+    specialVotesBreakdown.replaceChildren(
+      ...Object.entries(specialVotes).map(([value, count]) => {
+        const card = cards[findCardIndex(value)];
+        const item = createVoteItem(card ? card.emoji : "🎴", card ? card.label : value, count);
+        item.classList.add("special");
+        return item;
+      }),
+    );
+  }
+
+  // Team wants a break
+  if (breakBanner) {
+    breakBanner.style.display = results?.breakRequested ? "block" : "none";
+  }
+
+  // Who moved after the discussion: the vote at the reveal next to the current one
+  renderVoteChanges(members);
 
   // Show results section
   resultsSection.style.display = "block";
 
-  // Hide cards section
-  if (cardsSection) {
-    cardsSection.style.opacity = "0.5";
-    cardsSection.style.pointerEvents = "none";
-  }
+  // Lock the cards, unless the room allows revotes
+  updateCardsLock();
 
   // Update admin controls
   if (isAdmin) {
@@ -383,10 +983,114 @@ function showResults(members, average) {
     resetBtn.style.display = "inline-flex";
   }
 
-  // Disable submit button
+}
+
+// Check whether a member's vote changed since the reveal
+function hasChangedVote(member) {
+  return member.originalPoint !== undefined && member.originalPoint !== member.point;
+}
+
+// List the votes changed after the reveal ("Bob: 3 → 5")
+function renderVoteChanges(members) {
+  if (!voteChanges) return;
+
+  const changed = members.filter((m) => m.point !== null && hasChangedVote(m));
+  voteChanges.style.display = changed.length ? "flex" : "none";
+
+  if (changed.length === 0) {
+    voteChanges.replaceChildren();
+    return;
+  }
+
+  voteChanges.replaceChildren(
+    createElement("span", "vote-changes-label", "🔁 Changed after discussion:"),
+    ...changed.map((member) =>
+      createElement(
+        "span",
+        "history-vote",
+        `${member.name}: ${member.originalPoint ?? "–"} → ${member.point}`,
+      ),
+    ),
+  );
+}
+
+// Revealed rounds lock the cards, unless the room allows revotes
+function updateCardsLock() {
+  const revealed = resultsSection && resultsSection.style.display !== "none";
+  const locked = revealed && !allowRevotes;
+
+  if (cardsSection) {
+    cardsSection.style.opacity = locked ? "0.5" : "1";
+    cardsSection.style.pointerEvents = locked ? "none" : "auto";
+  }
   if (submitBtn) {
-    submitBtn.disabled = true;
+    submitBtn.disabled = locked;
+  }
+}
+
+// CSS class for members holding the lowest or highest estimate
+function getOutlierClass(name, outliers) {
+  if (!outliers) return "";
+  if (outliers.low.includes(name)) return "outlier-low";
+  if (outliers.high.includes(name)) return "outlier-high";
+  return "";
+}
+
+// Render median, mode, spread, suggested card and consensus
+function renderStats(results) {
+  if (!statsGrid) return;
+
+  if (!results) {
+    statsGrid.replaceChildren();
+    if (consensusBanner) consensusBanner.style.display = "none";
+    return;
   }
+
+  const format = (value) => (value === null || value === undefined ? "-" : value);
+  const stats = [
+    { label: "Median", value: format(results.median) },
+    { label: "Mode", value: results.mode?.length ? results.mode.join(", ") : "-" },
+    {
+      label: "Range",
+      value: results.min !== null ? `${results.min}–${results.max}` : "-",
+    },
+    { label: "Std Dev", value: format(results.stdDev) },
+    { label: "Suggested", value: format(results.suggestedCard) },
+  ];
+
+  statsGrid.replaceChildren(
+    ...stats.map((stat) => {
+      const item = createElement("div", "stat-item");
+      item.append(
+        createElement("span", "stat-label", stat.label),
+        createElement("span", "stat-value", stat.value),
+      );
+      return item;
+    }),
+  );
+
+  if (consensusBanner) {
+    const { low, high } = results.outliers || { low: [], high: [] };
+    consensusBanner.className = `consensus-banner ${results.consensus ? "agreed" : "discuss"}`;
+    consensusBanner.textContent = results.consensus
+      ? "🤝 Consensus!"
+      : low.length && high.length
+        ? `🗣️ Lowest (${low.join(", ")}) and highest (${high.join(", ")}) explain first`
+        : "🗣️ No consensus yet — discuss!";
+    consensusBanner.style.display = "block";
+  }
+}
+
+// Find a card's position in the deck by its (possibly stringified) value
+function findCardIndex(value) {
+  const index = cards.findIndex((c) => String(c.value) === String(value));
+  return index === -1 ? cards.length : index;
+}
+
+// Format a card value for display ("1 Point", "5 Points", "XL")
+function formatCardValue(value) {
+  if (typeof value !== "number") return value;
+  return `${value} ${value === 1 ? "Point" : "Points"}`;
 }
 
 // Reset voting UI
@@ -402,6 +1106,9 @@ function resetVotingUI() {
   if (resultsSection) {
     resultsSection.style.display = "none";
   }
+  if (estimateControls) {
+    estimateControls.style.display = "none";
+  }
 
   // Show cards section
   if (cardsSection) {
@@ -441,7 +1148,7 @@ function handleSubmit() {
   });
 
   showToast(
-    `Vote submitted: ${selectedCard.emoji} ${selectedCard.value} points`,
+    `Vote submitted: ${selectedCard.emoji} ${formatCardValue(selectedCard.value)}`,
   );
 }
 
@@ -469,20 +1176,237 @@ function handleReset() {
   });
 }
 
-// Handle end session (admin only)
-function handleEndSession() {
-  if (!socket || !roomId || !isAdmin) {
+// Warn that the room is about to expire; admins get an extend button
+function showExpiryBanner(remainingMs) {
+  if (!expiryBanner || !expiryMessage) return;
+
+  const seconds = Math.max(0, Math.round(remainingMs / 1000));
+  const remaining =
+    seconds >= 60 ? `${Math.round(seconds / 60)} minute(s)` : `${seconds} seconds`;
+
+  expiryMessage.textContent = `⚠️ This room expires in ${remaining}.${isAdmin ? " Extend it?" : ""}`;
+  if (expiryExtendBtn) {
+    expiryExtendBtn.style.display = isAdmin ? "inline-flex" : "none";
+  }
+  expiryBanner.style.display = "flex";
+}
+
+// Hide the expiry warning
+function hideExpiryBanner() {
+  if (expiryBanner) {
+    expiryBanner.style.display = "none";
+  }
+}
+
+// Handle promote member to co-admin (admin only)
+function handlePromoteMember(member) {
+  if (!socket || !roomId || !isAdmin || !member) {
     showErrorToast("Not authorized");
     return;
   }
 
-  if (confirm("Are you sure you want to end this session?")) {
-    socket.emit("room:end", {
+  if (confirm(`Make ${member.name} a co-admin?`)) {
+    socket.emit("member:promote", {
       roomId: roomId,
+      memberName: member.name,
     });
   }
 }
 
+// Handle remove (and optionally ban) member (admin only)
+function handleRemoveMember(member) {
+  if (!socket || !roomId || !isAdmin || !member) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  if (!confirm(`Remove ${member.name} from the room?`)) return;
+
+  socket.emit("member:remove", {
+    roomId: roomId,
+    memberName: member.name,
+    ban: confirm(`Also ban ${member.name} from rejoining this room?`),
+  });
+}
+
+// Handle rotate invite link (admin only)
+function handleRotateInvite() {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  if (confirm("Create a new invite link? The current link will stop working for new members.")) {
+    socket.emit("room:rotateInvite", { roomId: roomId });
+  }
+}
+
+// Handle extend room (admin only)
+function handleExtendRoom() {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  socket.emit("room:extend", {
+    roomId: roomId,
+    minutes: parseInt(extendMinutesSelect.value),
+  });
+}
+
+// Handle auto-reveal / countdown settings change (admin only)
+function handleSettingsChange() {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  socket.emit("room:settings", {
+    roomId: roomId,
+    autoReveal: autoRevealToggle.checked,
+    countdownSeconds: parseInt(countdownSecondsSelect.value),
+    allowRevotes: allowRevotesToggle.checked,
+  });
+}
+
+// Handle start voting countdown (admin only)
+function handleStartCountdown() {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  const seconds = parseInt(countdownSecondsSelect.value);
+  if (!seconds) {
+    showErrorToast("Pick a countdown length first");
+    return;
+  }
+
+  socket.emit("countdown:start", {
+    roomId: roomId,
+    seconds: seconds,
+  });
+}
+
+// Keep the admin's settings controls in sync with the room
+function updateVotingSettings(settings) {
+  if (autoRevealToggle) {
+    autoRevealToggle.checked = Boolean(settings.autoReveal);
+  }
+  if (countdownSecondsSelect) {
+    countdownSecondsSelect.value = String(settings.countdownSeconds || 0);
+  }
+
+  allowRevotes = Boolean(settings.allowRevotes);
+  if (allowRevotesToggle) {
+    allowRevotesToggle.checked = allowRevotes;
+  }
+  updateCardsLock();
+}
+
+// Handle lock in final estimate (admin only)
+function handleLockEstimate() {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  const card = cards[parseInt(estimateSelect.value)];
+  if (!card) return;
+
+  socket.emit("estimate:set", {
+    roomId: roomId,
+    estimate: card.value,
+  });
+}
+
+// Handle add story (admin only)
+function handleAddStory(event) {
+  event.preventDefault();
+
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  const title = storyTitleInput.value.trim();
+  if (!title) return;
+
+  socket.emit("story:add", {
+    roomId: roomId,
+    title: title,
+    description: storyDescriptionInput.value.trim(),
+  });
+
+  storyForm.reset();
+}
+
+// Handle story reorder (admin only)
+function handleMoveStory(index, direction) {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  const target = index + direction;
+  if (target < 0 || target >= stories.length) return;
+
+  const storyIds = stories.map((s) => s.id);
+  [storyIds[index], storyIds[target]] = [storyIds[target], storyIds[index]];
+
+  socket.emit("story:reorder", {
+    roomId: roomId,
+    storyIds: storyIds,
+  });
+}
+
+// Handle end session (admin only)
+async function handleEndSession() {
+  if (!socket || !roomId || !isAdmin) {
+    showErrorToast("Not authorized");
+    return;
+  }
+
+  if (!confirm("Are you sure you want to end this session?")) return;
+
+  // Everything is deleted when the session ends, so offer an export first
+  if (
+    confirm(
+      "Export the results (CSV) before ending? Stories, votes and estimates are deleted when the session ends.",
+    )
+  ) {
+    try {
+      await downloadExport("csv");
+    } catch (error) {
+      console.error("Export failed:", error);
+      showErrorToast("Export failed. The session was not ended.");
+      return;
+    }
+  }
+
+  socket.emit("room:end", {
+    roomId: roomId,
+  });
+}
+
+// Download the session results in the given format (admin only)
+async function downloadExport(format) {
+  const response = await fetch(`/play/${roomId}/export?format=${format}`);
+  if (!response.ok) {
+    throw new Error(`Export request failed with status ${response.status}`);
+  }
+
+  const blob = await response.blob();
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `poker-estima-${roomId.slice(0, 8)}.${format}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
 // Copy room link
 function copyRoomLink() {
   if (roomLinkInput) {
@@ -493,18 +1417,20 @@ function copyRoomLink() {
   }
 }
 
-// Start timer
-function startTimer() {
-  const ROOM_DURATION = 10 * 60 * 1000; // 10 minutes
-  const startTime = Date.now();
+// Start timer counting down to the room's expiry.
+// serverTime lets us correct for the difference between the server and client clocks.
+function startTimer(roomExpiresAt, serverTime) {
+  expiresAt = roomExpiresAt;
+  if (serverTime) {
+    serverTimeOffset = serverTime - Date.now();
+  }
 
   if (timerInterval) {
     clearInterval(timerInterval);
   }
 
-  timerInterval = setInterval(() => {
-    const elapsed = Date.now() - startTime;
-    const remaining = Math.max(0, ROOM_DURATION - elapsed);
+  const tick = () => {
+    const remaining = Math.max(0, expiresAt - (Date.now() + serverTimeOffset));
 
     const minutes = Math.floor(remaining / 60000);
     const seconds = Math.floor((remaining % 60000) / 1000);
@@ -513,15 +1439,59 @@ function startTimer() {
       timerDisplay.textContent = `${minutes}:${seconds.toString().padStart(2, "0")}`;
 
       // Warning color when less than 2 minutes
-      if (remaining < 2 * 60 * 1000) {
-        timerDisplay.style.color = "#ef4444";
-      }
+      timerDisplay.style.color = remaining < 2 * 60 * 1000 ? "#ef4444" : "";
     }
 
     if (remaining === 0) {
       clearInterval(timerInterval);
     }
-  }, 1000);
+  };
+
+  tick();
+  timerInterval = setInterval(tick, 1000);
+}
+
+// Show the voting countdown (endsAt comes from the server clock)
+function startCountdown(endsAt, serverTime) {
+  if (serverTime) {
+    serverTimeOffset = serverTime - Date.now();
+  }
+
+  stopCountdown();
+  if (countdownBanner) {
+    countdownBanner.style.display = "flex";
+  }
+
+  const tick = () => {
+    const remaining = Math.max(0, endsAt - (Date.now() + serverTimeOffset));
+    const seconds = Math.ceil(remaining / 1000);
+
+    if (countdownDisplay) {
+      countdownDisplay.textContent = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, "0")}`;
+    }
+    if (countdownBanner) {
+      countdownBanner.classList.toggle("urgent", remaining <= 10 * 1000);
+    }
+
+    // The server reveals the votes when time is up
+    if (remaining === 0) {
+      clearInterval(countdownInterval);
+    }
+  };
+
+  tick();
+  countdownInterval = setInterval(tick, 250);
+}
+
+// Hide the voting countdown
+function stopCountdown() {
+  if (countdownInterval) {
+    clearInterval(countdownInterval);
+    countdownInterval = null;
+  }
+  if (countdownBanner) {
+    countdownBanner.style.display = "none";
+  }
 }
 
 // Show toast
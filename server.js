@@ -1,11 +1,34 @@
-import { randomUUID } from "crypto";
-import express, { json, static as serveStatic, urlencoded } from "express";
+import { randomBytes, randomUUID } from "crypto";
+import express, { json, Router, static as serveStatic, urlencoded } from "express";
 import session from "express-session";
 import { createServer } from "http";
 import { dirname, join } from "path";
 import { Server } from "socket.io";
 import { fileURLToPath } from "url";
 import { db } from "./db/index.js";
+import {
+  DECKS,
+  DEFAULT_DECK_TYPE,
+  findCard,
+  isDeckType,
+  resolveDeck,
+  SPECIAL_CARDS,
+} from "./lib/decks.js";
+import { summarizeVotes } from "./lib/stats.js";
+import { createSqliteAdapter } from "./lib/clusterAdapter.js";
+import { buildRoomExport, EXPORT_FORMATS, toCsv, toMarkdown } from "./lib/export.js";
+import { auditLogToCsv, describeAuditEvent, redactVotes } from "./lib/audit.js";
+import {
+  generateInviteCode,
+  hashPasscode,
+  MAX_PASSCODE_LENGTH,
+  MIN_PASSCODE_LENGTH,
+  verifyPasscode,
+} from "./lib/passcode.js";
+import { createRateLimiter } from "./lib/rateLimit.js";
+import { createMemberToken, verifyMemberToken } from "./lib/apiTokens.js";
+import { SqliteSessionStore } from "./lib/sessionStore.js";
+import { API_SCHEMAS, EVENT_SCHEMAS, JOIN_SCHEMA, REGISTER_SCHEMA, validatePayload } from "./lib/validation.js";
 import sharedSession from "express-socket.io-session";
 import ejsLayouts from "express-ejs-layouts";
 
@@ -17,8 +40,21 @@ const app = express();
 app.set('trust proxy', 1);
 const server = createServer(app);
 
+// Socket.IO adapter: "memory" for a single process, "sqlite" to reach the sockets of every
+// process sharing the database file (see "Running several processes" in the README)
+const SOCKET_ADAPTERS = {
+  memory: () => undefined,
+  sqlite: () => createSqliteAdapter(db),
+};
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || "memory";
+if (!SOCKET_ADAPTERS[SOCKET_ADAPTER]) {
+  throw new Error(`Unknown SOCKET_ADAPTER "${SOCKET_ADAPTER}" (expected: ${Object.keys(SOCKET_ADAPTERS).join(", ")})`);
+}
+const IS_CLUSTERED = SOCKET_ADAPTER !== "memory";
+
 // Socket.IO configuration optimized for production/Fly.io
 const io = new Server(server, {
+  adapter: SOCKET_ADAPTERS[SOCKET_ADAPTER](),
   // Connection settings for production reliability
   pingTimeout: 60000,
   pingInterval: 25000,
@@ -39,32 +75,172 @@ const io = new Server(server, {
 });
 
 const PORT = process.env.PORT || 4000;
-const MAX_ROOM_CAPACITY = 10;
-const ROOM_DURATION_MS = 10 * 60 * 1000; // 10 minutes
-const CLEANUP_INTERVAL_MS = 60 * 1000; // Run cleanup every minute
-const DISCONNECT_GRACE_PERIOD_MS = 30 * 1000; // 30 seconds grace period
+const MAX_ROOM_CAPACITY = 10; // Voters per room
+const MAX_OBSERVER_CAPACITY = 20; // Observers per room (they don't vote)
+const VOTER_ROLE = "voter";
+const OBSERVER_ROLE = "observer";
+const API_SOURCE = "api"; // Members who joined over the REST API: no socket, present until they're removed
+const ROOM_DURATION_MS = 10 * 60 * 1000; // Default room lifetime: 10 minutes
+const ROOM_DURATION_OPTIONS_MIN = [10, 30, 60, 90, 120]; // Lifetimes offered on the create form
+const ROOM_EXTEND_OPTIONS_MIN = [5, 10, 15, 30]; // "Extend by N minutes" choices for the admin
+const MAX_ROOM_LIFETIME_MS = 4 * 60 * 60 * 1000; // Rooms can't live longer than 4 hours
+const CLEANUP_INTERVAL_MS = 5 * 1000; // Check for expiring rooms every 5 seconds
+const TIMER_POLL_INTERVAL_MS = 500; // Look for due grace periods and countdowns twice a second
+// Identifies this process among the servers sharing the database
+const SERVER_ID = randomUUID();
+// Only the process holding this lock runs the periodic cleanup; it renews the lock every run
+const CLEANUP_LOCK = "cleanup";
+const CLEANUP_LOCK_TTL_MS = 3 * CLEANUP_INTERVAL_MS;
+// A process that hasn't checked in for this long is gone: its members count as disconnected
+const SERVER_TIMEOUT_MS = 3 * CLEANUP_INTERVAL_MS;
+const CLUSTER_MESSAGE_RETENTION_MS = 60 * 1000; // Broadcasts between processes are read within a second
+const DISCONNECT_GRACE_PERIOD_MS = Number(process.env.DISCONNECT_GRACE_PERIOD_MS) || 30 * 1000; // 30 seconds grace period
+// Disconnected members are removed from their room after this long (frees their seat and name)
+const DISCONNECTED_MEMBER_TIMEOUT_MS = Number(process.env.DISCONNECTED_MEMBER_TIMEOUT_MS) || 5 * 60 * 1000;
+const EXPIRY_GRACE_PERIOD_MS = 2 * 60 * 1000; // One-time extra time for a round still being voted on
+const BANNED_MESSAGE = "You have been banned from this room by an admin.";
+const INVALID_INVITE_MESSAGE = "This invite link is no longer valid. Ask the admin for a new one.";
+const ROOM_NOT_FOUND_ERROR = { code: "ROOM_NOT_FOUND", message: "Room not found or has expired." };
+const MAX_PASSCODE_ATTEMPTS = 5; // Wrong passcodes allowed per session (or API client IP) and room...
+const PASSCODE_LOCKOUT_MS = 15 * 60 * 1000; // ...within this window
+const COUNTDOWN_OPTIONS_SEC = [30, 60, 90, 120, 180]; // Voting countdown choices (0 = no countdown)
+const STALE_SERVER_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // Forget servers that stopped checking in this long ago
+// Warn members before their room expires (comma-separated milliseconds, e.g. "120000,30000")
+const EXPIRY_WARNING_THRESHOLDS_MS = (process.env.EXPIRY_WARNINGS_MS || "120000,30000")
+  .split(",")
+  .map(Number)
+  .filter((ms) => ms > 0)
+  .sort((a, b) => b - a);
+
+// Token buckets: every socket event costs one token from the socket's and the IP's bucket,
+// some events also from their own tighter bucket; form posts and API calls are limited per IP
+const RATE_LIMITS = {
+  socket: { capacity: 20, refillPerSecond: 5 },
+  ip: { capacity: 60, refillPerSecond: 15 },
+  http: { capacity: 30, refillPerSecond: 0.5 },
+  api: { capacity: 60, refillPerSecond: 5 },
+  events: {
+    "vote:submit": { capacity: 5, refillPerSecond: 1 },
+    "room:join": { capacity: 5, refillPerSecond: 0.5 },
+  },
+};
+
+const socketLimiter = createRateLimiter(RATE_LIMITS.socket);
+const ipLimiter = createRateLimiter(RATE_LIMITS.ip);
+const httpLimiter = createRateLimiter(RATE_LIMITS.http);
+const apiLimiter = createRateLimiter(RATE_LIMITS.api);
+const eventLimiters = Object.fromEntries(
+  Object.entries(RATE_LIMITS.events).map(([event, limit]) => [event, createRateLimiter(limit)]),
+);
+
+// Wrong passcodes sent over the REST API, which has no session: ip -> { passcodeAttempts } (kept per process)
+const apiPasscodeAttempts = new Map();
+
+// Track which expiry warnings were sent per room: roomId -> { expiresAt, thresholds }
+const sentExpiryWarnings = new Map();
 
 // Check if a room is expired
 function isRoomExpired(room) {
-  return Date.now() - room.createdAt > ROOM_DURATION_MS;
+  return Date.now() >= room.expiresAt;
+}
+
+// Check if a round has votes that haven't been revealed yet
+function hasUnrevealedVotes(room) {
+  return !room.revealed && room.members.some((m) => m.point !== null);
+}
+
+// Expire a room whose lifetime is over. A round still being voted on gets a
+// one-time grace period instead of being dropped. Returns true if the room was deleted.
+function expireRoom(room) {
+  if (!room.graceUsed && hasUnrevealedVotes(room)) {
+    const expiresAt = Date.now() + EXPIRY_GRACE_PERIOD_MS;
+    db.setRoomExpiresAt(room.id, expiresAt);
+    db.markRoomGraceUsed(room.id);
+    logActivity(room.id, "extend", null, { minutes: EXPIRY_GRACE_PERIOD_MS / 60000, grace: true });
+
+    io.to(room.id).emit("room:extended", {
+      expiresAt: db.getRoom(room.id).expiresAt,
+      serverTime: Date.now(),
+      minutes: EXPIRY_GRACE_PERIOD_MS / 60000,
+      grace: true,
+    });
+
+    console.log(`[Expiry] Room ${room.id} got a grace period to finish its round.`);
+    return false;
+  }
+
+  // Notify all users in the room that it has expired
+  io.to(room.id).emit("room:expired", {
+    message: "Room has expired.",
+  });
+
+  // Delete the room
+  db.deleteRoom(room.id);
+  sentExpiryWarnings.delete(room.id);
+  clearCountdown(room.id);
+  console.log(`[Expiry] Room ${room.id} expired and deleted.`);
+  return true;
 }
 
-// Periodic cleanup of expired rooms
+// Warn rooms that crossed an expiry threshold (each threshold once per expiry time)
+function sendExpiryWarnings() {
+  if (EXPIRY_WARNING_THRESHOLDS_MS.length === 0) return;
+
+  for (const { id, expiresAt } of db.getExpiringRooms(EXPIRY_WARNING_THRESHOLDS_MS[0])) {
+    const remainingMs = expiresAt - Date.now();
+
+    // An extension changes expiresAt, which re-arms every threshold
+    let sent = sentExpiryWarnings.get(id);
+    if (!sent || sent.expiresAt !== expiresAt) {
+      sent = { expiresAt, thresholds: new Set() };
+      sentExpiryWarnings.set(id, sent);
+    }
+
+    // Only the tightest threshold crossed is announced
+    const crossed = EXPIRY_WARNING_THRESHOLDS_MS.filter((t) => remainingMs <= t);
+    const threshold = crossed[crossed.length - 1];
+    if (sent.thresholds.has(threshold)) continue;
+    crossed.forEach((t) => sent.thresholds.add(t));
+
+    io.to(id).emit("room:expiring", {
+      expiresAt: expiresAt,
+      serverTime: Date.now(),
+      remainingMs: remainingMs,
+    });
+
+    console.log(`[Expiry] Room ${id} expires in ${Math.round(remainingMs / 1000)}s.`);
+  }
+}
+
+// Periodic cleanup of expired rooms and expiry warnings. Every process checks in, but only
+// the holder of the cleanup lock does the room work, so several processes don't repeat it.
 function startCleanupInterval() {
+  db.heartbeatServer(SERVER_ID);
+
   setInterval(() => {
     try {
-      const expiredRoomIds = db.getExpiredRooms(ROOM_DURATION_MS);
+      db.heartbeatServer(SERVER_ID);
 
-      for (const roomId of expiredRoomIds) {
-        // Notify all users in the room
-        io.to(roomId).emit("room:expired", {
-          message: "Room has expired after 10 minutes.",
-        });
+      // Forget rate limit buckets that refilled completely (they are kept per process)
+      [socketLimiter, ipLimiter, httpLimiter, apiLimiter, ...Object.values(eventLimiters)].forEach((l) => l.prune());
+      pruneApiPasscodeAttempts();
 
-        // Delete the room
-        db.deleteRoom(roomId);
-        console.log(`[Cleanup] Room ${roomId} expired and deleted.`);
+      if (!db.acquireLock(CLEANUP_LOCK, SERVER_ID, CLEANUP_LOCK_TTL_MS)) return;
+
+      for (const roomId of db.getExpiredRooms()) {
+        const room = db.getRoom(roomId);
+        if (room) {
+          expireRoom(room);
+        }
       }
+
+      sendExpiryWarnings();
+      disconnectOrphanedMembers();
+
+      db.pruneAuditLog();
+      db.pruneExpiredSessions();
+      db.pruneClusterMessages(Date.now() - CLUSTER_MESSAGE_RETENTION_MS);
+      db.pruneServers(Date.now() - STALE_SERVER_RETENTION_MS);
     } catch (error) {
       console.error("[Cleanup] Error during room cleanup:", error);
     }
@@ -77,28 +253,27 @@ function checkRoomExpiration(roomId) {
   if (!room) return true; // Room doesn't exist
 
   if (isRoomExpired(room)) {
-    // Notify all users in the room that it has expired
-    io.to(roomId).emit("room:expired", {
-      message: "Room has expired after 10 minutes.",
-    });
-    db.deleteRoom(roomId);
-    console.log(`Room ${roomId} expired and deleted.`);
-    return true;
+    return expireRoom(room);
   }
   return false;
 }
 
 const sessionMiddleware = session({
   secret: process.env.SECRET_KEY || "secret", // Use environment variable in production
+  store: new SqliteSessionStore(db, MAX_ROOM_LIFETIME_MS), // Sessions survive restarts
   resave: true,
-  saveUninitialized: true,
+  saveUninitialized: false, // Only sessions that joined or created a room are stored (and get a cookie)
   cookie: {
     secure: Boolean(process.env.SECRET_KEY), // Set to true in production with HTTPS
     sameSite: 'lax', // Required for cookies to work properly in modern browsers
-    maxAge: 10 * 60 * 1000, // 10 minutes
+    maxAge: MAX_ROOM_LIFETIME_MS, // Outlive the longest possible room
   },
 });
 
+// The REST API authenticates with bearer tokens, so it's mounted before the session middleware
+const apiRouter = Router();
+app.use("/api/v1", apiRouter);
+
 app.use(sessionMiddleware);
 
 // Share session with Socket.IO using express-socket.io-session
@@ -108,6 +283,7 @@ io.use(sharedSession(sessionMiddleware, {
 
 app.use(json());
 app.use(urlencoded({ extended: true }));
+app.use(contentSecurityPolicy);
 
 // Serve static files
 app.use(serveStatic(join(__dirname)));
@@ -123,116 +299,195 @@ app.get("/", (req, res) => {
 
 // Route: Create new room form
 app.get("/play", (_, res) => {
-  res.render("new", { layout: "layout" });
+  renderCreateForm(res, { specialCards: "on", duration: String(ROOM_DURATION_MS / 60000), countdown: "0" });
 });
 
 // Route: View existing room
 app.get("/play/:id", async (req, res) => {
   const roomId = req.params.id;
-  const room = db.getRoom(roomId);
 
-  if (!room) {
+  // Check if room exists and is not expired
+  if (checkRoomExpiration(roomId)) {
     res.redirect("/play");
     return;
   }
 
-  // Check if room is expired
-  if (isRoomExpired(room)) {
-    db.deleteRoom(roomId);
-    console.log(`Room ${roomId} expired and deleted on access.`);
-    res.redirect("/play");
-    return;
-  }
+  const room = db.getRoom(roomId);
 
-  const userSession = req.session.rooms?.[roomId];
+  const userSession = getRoomSession(req.session, room);
 
   // Debug logging
   console.log(`[GET /play/${roomId}] Session ID: ${req.session.id}`);
   console.log(`[GET /play/${roomId}] User session for room:`, userSession);
 
-  // If user has no session for this room, show join page
+  // Banned sessions can't get back in
+  if (db.isSessionBanned(roomId, req.session.id)) {
+    res.render("join", { 
+      layout: "layout",
+      room,
+      invite: null,
+      error: BANNED_MESSAGE
+    });
+    return;
+  }
+
+  // If user has no session for this room, show join page (invite-only rooms need the current invite code)
   if (!userSession) {
+    const inviteValid = !room.inviteCode || req.query.invite === room.inviteCode;
     res.render("join", { 
       layout: "layout",
-      room 
+      room,
+      invite: inviteValid ? req.query.invite : null,
+      error: inviteValid ? null : INVALID_INVITE_MESSAGE
     });
     return;
   }
 
   // User has a session - show the room
-  const roomUrl = `${req.protocol}://${req.get('host')}/play/${roomId}`;
+  const roomUrl = getInviteUrl(req, room);
   res.render("room", { 
     layout: "layout",
     room,
     userSession,
-    roomUrl
+    isAdmin: isRoomAdmin(req.session, room),
+    roomUrl,
+    extendOptions: ROOM_EXTEND_OPTIONS_MIN,
+    countdownOptions: COUNTDOWN_OPTIONS_SEC
   });
 });
 
-// Route: Join room (POST)
-app.post("/play/:id/join", async (req, res) => {
+// Route: Export session results (admin only)
+app.get("/play/:id/export", rateLimit(httpLimiter), async (req, res) => {
   const roomId = req.params.id;
   const room = db.getRoom(roomId);
 
-  if (!room) {
-    res.redirect("/play");
+  if (!room || isRoomExpired(room)) {
+    res.status(404).json({ error: "Room not found or has expired." });
     return;
   }
 
-  // Check if room is expired
-  if (isRoomExpired(room)) {
-    db.deleteRoom(roomId);
-    console.log(`Room ${roomId} expired and deleted on access.`);
+  // Verify admin status (creator or co-admin)
+  if (!authorize(req.session, room, "results:export", req.ip)) {
+    res.status(403).json({ code: "NOT_AUTHORIZED", error: ADMIN_ACTIONS["results:export"] });
+    return;
+  }
+
+  const format = req.query.format || "csv";
+  const exportFormat = EXPORT_FORMATS[format];
+  if (!exportFormat) {
+    res.status(400).json({ error: "Unsupported format. Use csv, json or md." });
+    return;
+  }
+
+  const data = buildRoomExport(room, db.getRounds(roomId));
+  const body =
+    format === "json"
+      ? JSON.stringify(data, null, 2)
+      : format === "md"
+        ? toMarkdown(data)
+        : toCsv(data);
+
+  res.set("Content-Type", exportFormat.contentType);
+  res.attachment(`poker-estima-${roomId.slice(0, 8)}.${exportFormat.extension}`);
+  res.send(body);
+
+  console.log(`[GET /play/${roomId}/export] Exported results as ${format}`);
+});
+
+// Route: Download the room's activity log (admin only)
+app.get("/play/:id/audit", rateLimit(httpLimiter), async (req, res) => {
+  const roomId = req.params.id;
+  const room = db.getRoom(roomId);
+
+  if (!room || isRoomExpired(room)) {
+    res.status(404).json({ error: "Room not found or has expired." });
+    return;
+  }
+
+  // Verify admin status (creator or co-admin)
+  if (!authorize(req.session, room, "audit:view", req.ip)) {
+    res.status(403).json({ code: "NOT_AUTHORIZED", error: ADMIN_ACTIONS["audit:view"] });
+    return;
+  }
+
+  const format = req.query.format || "csv";
+  if (format !== "csv" && format !== "json") {
+    res.status(400).json({ error: "Unsupported format. Use csv or json." });
+    return;
+  }
+
+  const events = getActivityLog(roomId);
+  const exportFormat = EXPORT_FORMATS[format];
+
+  res.set("Content-Type", exportFormat.contentType);
+  res.attachment(`poker-estima-${roomId.slice(0, 8)}-activity.${exportFormat.extension}`);
+  res.send(format === "json" ? JSON.stringify(events, null, 2) : auditLogToCsv(events));
+
+  console.log(`[GET /play/${roomId}/audit] Downloaded activity log as ${format}`);
+});
+
+// Route: Join room (POST)
+app.post("/play/:id/join", rateLimit(httpLimiter), async (req, res) => {
+  const roomId = req.params.id;
+
+  // Check if room exists and is not expired
+  if (checkRoomExpiration(roomId)) {
     res.redirect("/play");
     return;
   }
 
+  const room = db.getRoom(roomId);
+
   const name = req.body.name?.trim();
 
-  if (!name) {
+  if (db.isSessionBanned(roomId, req.session.id)) {
     res.render("join", { 
       layout: "layout",
       room,
-      error: "Please enter your name."
+      invite: null,
+      error: BANNED_MESSAGE
     });
     return;
   }
 
-  // Check if name is already taken in the room
-  const existingMember = db.getMemberByName(roomId, name);
-  if (existingMember) {
+  // Invite code and passcode (counts failed attempts against this session)
+  const accessError = checkRoomAccess(req.session, room, {
+    invite: req.body.invite,
+    passcode: req.body.passcode,
+  });
+  if (accessError) {
     res.render("join", { 
       layout: "layout",
       room,
-      error: "This name is already taken in the room."
+      invite: accessError.code === "INVALID_INVITE" ? null : req.body.invite,
+      error: accessError.message
     });
     return;
   }
 
-  // Check room capacity
-  if (room.members.length >= MAX_ROOM_CAPACITY) {
+  const invalidField = validatePayload(JOIN_SCHEMA, req.body);
+  if (invalidField) {
     res.render("join", { 
       layout: "layout",
       room,
-      error: "Room is full. Maximum 10 users allowed."
+      invite: req.body.invite,
+      error: invalidField.field === "name" && invalidField.code === "VALUE_REQUIRED"
+        ? "Please enter your name."
+        : invalidField.message
     });
     return;
   }
 
-  // Add member to database so they're reserved
-  const member = db.addMember(roomId, {
-    sessionId: req.session.id,
-    socketId: null, // Will be set when WebSocket connects
-    name: name,
-    point: null,
-    connected: false, // Not connected via WebSocket yet
-  });
+  const role = req.body.role === OBSERVER_ROLE ? OBSERVER_ROLE : VOTER_ROLE;
 
-  if (!member) {
+  // Add member to database so they're reserved
+  const joined = addRoomMember(room, { name: name, role: role, sessionId: req.session.id });
+  if (joined.error) {
     res.render("join", { 
       layout: "layout",
       room,
-      error: "This name is already taken in the room."
+      invite: req.body.invite,
+      error: joined.error.message
     });
     return;
   }
@@ -244,8 +499,8 @@ app.post("/play/:id/join", async (req, res) => {
 
   req.session.rooms[roomId] = {
     name: name,
-    isAdmin: false,
-    adminToken: null,
+    role: role,
+    memberId: joined.member.id,
     joinedAt: Date.now(),
   };
 
@@ -262,24 +517,46 @@ app.post("/play/:id/join", async (req, res) => {
 });
 
 // Route: Register new room
-app.post("/register", async (req, res) => {
-  const adminToken = randomUUID();
+app.post("/register", rateLimit(httpLimiter), async (req, res) => {
+  const invalidField = validatePayload(REGISTER_SCHEMA, req.body);
+  if (invalidField) {
+    renderCreateForm(res, { ...req.body, passcode: "" }, invalidField.message);
+    return;
+  }
 
-  const room = db.createRoom({
-    taskTitle: req.body.taskTitle,
-    taskDescription: req.body.taskDescription,
-    adminToken: adminToken,
-    adminName: req.body.name,
-  });
+  const created = createRoomWithOwner(
+    {
+      name: req.body.name,
+      taskTitle: req.body.taskTitle,
+      taskDescription: req.body.taskDescription,
+      deckType: req.body.deckType,
+      customDeck: req.body.customDeck,
+      specialCards: req.body.specialCards === "on",
+      duration: Number(req.body.duration),
+      countdown: Number(req.body.countdown),
+      autoReveal: req.body.autoReveal === "on",
+      allowRevotes: req.body.allowRevotes === "on",
+      passcode: req.body.passcode,
+    },
+    req.session.id,
+  );
+
+  if (created.error) {
+    renderCreateForm(res, { ...req.body, passcode: "" }, created.error.message);
+    return;
+  }
+
+  const { room, owner, adminToken } = created;
 
   if (!req.session.rooms) {
     req.session.rooms = {};
   }
 
   req.session.rooms[room.id] = {
-    name: req.body.name,
-    isAdmin: true,
+    name: req.body.name.trim(),
     adminToken: adminToken,
+    role: VOTER_ROLE,
+    memberId: owner.id,
     joinedAt: Date.now(),
   };
 
@@ -295,14 +572,350 @@ app.post("/register", async (req, res) => {
   });
 });
 
-// ============== WebSocket Handling ==============
+// Route: Leave a room (frees the seat and the name)
+app.post("/play/:id/leave", async (req, res) => {
+  const roomId = req.params.id;
+
+  const member = db.getMemberBySession(roomId, req.session.id);
+  if (member) {
+    leaveRoom(roomId, member);
+  }
+
+  if (req.session.rooms) {
+    delete req.session.rooms[roomId];
+  }
+
+  req.session.save((err) => {
+    if (err) {
+      console.error('Session save error:', err);
+    }
+    res.redirect("/play");
+  });
+});
+
+// ============== REST API (v1) ==============
+
+// HTTP status of each API error code (anything else is a 400)
+const API_ERROR_STATUS = {
+  NOT_AUTHENTICATED: 401,
+  NOT_AUTHORIZED: 403,
+  BANNED: 403,
+  INVALID_INVITE: 403,
+  INVALID_PASSCODE: 403,
+  TOO_MANY_ATTEMPTS: 429,
+  OBSERVER_CANNOT_VOTE: 403,
+  ROOM_NOT_FOUND: 404,
+  MEMBER_NOT_FOUND: 404,
+  NOT_FOUND: 404,
+  NAME_TAKEN: 409,
+  CANNOT_REMOVE_ADMIN: 409,
+  ROOM_FULL: 409,
+  VOTES_LOCKED: 409,
+  RATE_LIMITED: 429,
+};
+
+apiRouter.use(json());
+apiRouter.use(apiRateLimit(apiLimiter));
+
+// API: Create a room. The creator becomes its owner and gets a token for it.
+apiRouter.post("/rooms", apiRateLimit(httpLimiter), (req, res) => {
+  const invalidField = validatePayload(API_SCHEMAS.createRoom, req.body);
+  if (invalidField) {
+    sendApiError(res, invalidField);
+    return;
+  }
+
+  const created = createRoomWithOwner(
+    {
+      ...req.body,
+      specialCards: req.body.specialCards ?? true,
+      countdown: req.body.countdownSeconds,
+    },
+    getApiSessionId(req.ip),
+    API_SOURCE,
+  );
+  if (created.error) {
+    sendApiError(res, created.error);
+    return;
+  }
+
+  const { room, owner } = created;
+  console.log(`[API] Created room ${room.id}`);
+
+  res.status(201).json({
+    room: getSanitizedRoom(room),
+    member: getApiMember(owner),
+    token: createMemberToken(room, owner.id),
+    inviteCode: room.inviteCode,
+  });
+});
+
+// API: Join a room (needs the current invite code, and the passcode if the room has one)
+apiRouter.post("/rooms/:id/members", apiRateLimit(httpLimiter), (req, res) => {
+  const roomId = req.params.id;
+  if (checkRoomExpiration(roomId)) {
+    sendApiError(res, ROOM_NOT_FOUND_ERROR);
+    return;
+  }
+
+  const invalidField = validatePayload(API_SCHEMAS.join, req.body);
+  if (invalidField) {
+    sendApiError(res, invalidField);
+    return;
+  }
+
+  const room = db.getRoom(roomId);
+  const sessionId = getApiSessionId(req.ip);
+  if (db.isSessionBanned(roomId, sessionId)) {
+    sendApiError(res, { code: "BANNED", message: BANNED_MESSAGE });
+    return;
+  }
+
+  const accessError = checkRoomAccess(getApiPasscodeAttempts(req.ip), room, {
+    invite: req.body.invite,
+    passcode: req.body.passcode,
+  });
+  if (accessError) {
+    sendApiError(res, accessError);
+    return;
+  }
+
+  const role = req.body.role === OBSERVER_ROLE ? OBSERVER_ROLE : VOTER_ROLE;
+  const joined = addRoomMember(room, {
+    name: req.body.name.trim(),
+    role: role,
+    sessionId: sessionId,
+    source: API_SOURCE,
+  });
+  if (joined.error) {
+    sendApiError(res, joined.error);
+    return;
+  }
+
+  // API members have no socket: announce them here
+  const freshRoom = db.getRoom(roomId);
+  io.to(roomId).emit("room:memberJoined", {
+    member: { name: joined.member.name, hasVoted: false, role: role, source: API_SOURCE },
+    members: getSanitizedMembers(freshRoom),
+  });
+
+  console.log(`[API] ${joined.member.name} joined room ${roomId}`);
+
+  res.status(201).json({
+    room: getSanitizedRoom(freshRoom),
+    member: getApiMember(joined.member),
+    token: createMemberToken(freshRoom, joined.member.id),
+  });
+});
+
+// API: Room state, as socket clients see it
+apiRouter.get("/rooms/:id", authenticateApi, (req, res) => {
+  res.json({ room: getSanitizedRoom(req.room), member: getApiMember(req.member) });
+});
+
+// API: Cast or change the token holder's vote
+apiRouter.post("/rooms/:id/votes", authenticateApi, (req, res) => {
+  const invalidField = validatePayload(API_SCHEMAS.vote, req.body);
+  if (invalidField) {
+    sendApiError(res, invalidField);
+    return;
+  }
+
+  const voteError = submitVote(req.room, req.member, req.body.point);
+  if (voteError) {
+    sendApiError(res, voteError);
+    return;
+  }
+
+  sendApiRoom(res, req.room.id, req.member.id);
+});
+
+// API: Reveal votes (admin only)
+apiRouter.post("/rooms/:id/reveal", authenticateApi, authorizeApi("votes:reveal"), (req, res) => {
+  const results = revealVotes(req.room, "admin", req.member);
+  console.log(`[API] Votes revealed in room ${req.room.id}. Average: ${results.average}`);
+
+  sendApiRoom(res, req.room.id, req.member.id);
+});
+
+// API: Reset votes for a new round (admin only)
+apiRouter.post("/rooms/:id/reset", authenticateApi, authorizeApi("votes:reset"), (req, res) => {
+  resetVotes(req.room, req.member);
+  sendApiRoom(res, req.room.id, req.member.id);
+});
+
+// API: Leave the room (frees the seat and the name; the token stops working)
+apiRouter.post("/rooms/:id/leave", authenticateApi, (req, res) => {
+  leaveRoom(req.room.id, req.member);
+  res.status(204).end();
+});
+
+// API: Remove a member, banning them with ?ban=true (admin only)
+apiRouter.delete("/rooms/:id/members/:name", authenticateApi, authorizeApi("member:remove"), (req, res) => {
+  const member = req.room.members.find((m) => m.name === req.params.name);
+  if (!member) {
+    sendApiError(res, { code: "MEMBER_NOT_FOUND", message: "Member not found." });
+    return;
+  }
+
+  const removeError = removeMember(req.room, member, req.query.ban === "true", req.member);
+  if (removeError) {
+    sendApiError(res, removeError);
+    return;
+  }
+
+  res.status(204).end();
+});
+
+// API: End the session (admin only)
+apiRouter.delete("/rooms/:id", authenticateApi, authorizeApi("room:end"), (req, res) => {
+  endRoom(req.room, req.member);
+  res.status(204).end();
+});
+
+// Unknown API routes and unreadable bodies answer in JSON too
+apiRouter.use((req, res) => {
+  sendApiError(res, { code: "NOT_FOUND", message: "Unknown API endpoint." });
+});
+
+apiRouter.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed") {
+    sendApiError(res, { code: "INVALID_PAYLOAD", message: "The request body must be valid JSON." });
+    return;
+  }
+  next(err);
+});
+
+// Helper middleware to find the room and the member behind the bearer token (req.room, req.member)
+function authenticateApi(req, res, next) {
+  const roomId = req.params.id;
+  if (checkRoomExpiration(roomId)) {
+    sendApiError(res, ROOM_NOT_FOUND_ERROR);
+    return;
+  }
+
+  const room = db.getRoom(roomId);
+  const token = req.get("authorization")?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  const memberId = verifyMemberToken(room, token);
+  const member = memberId ? room.members.find((m) => m.id === memberId) : null;
+  if (!member) {
+    sendApiError(res, { code: "NOT_AUTHENTICATED", message: "Missing or invalid API token for this room." });
+    return;
+  }
+
+  req.room = room;
+  req.member = member;
+  next();
+}
+
+// Helper middleware to require admin powers for an API action
+function authorizeApi(action) {
+  return (req, res, next) => {
+    if (!authorizeMember(req.member, req.room, action, req.ip)) {
+      sendApiError(res, { code: "NOT_AUTHORIZED", message: ADMIN_ACTIONS[action] });
+      return;
+    }
+    next();
+  };
+}
+
+// Helper middleware to rate limit API calls per client IP (like rateLimit, answering in JSON)
+function apiRateLimit(limiter) {
+  return (req, res, next) => {
+    if (limiter.take(req.ip)) {
+      next();
+      return;
+    }
+
+    res.set("Retry-After", String(limiter.retryAfter(req.ip)));
+    sendApiError(res, { code: "RATE_LIMITED", message: "Too many requests. Please wait a moment and try again." });
+  };
+}
+
+// Helper function to name an API client's stand-in session: the API has no sessions, so the client's IP
+// identifies its members (bans keep that IP from joining the room again)
+function getApiSessionId(ip) {
+  return `api:${ip}`;
+}
+
+// Helper function to find the wrong passcodes counted against an API client's IP. They're kept like
+// a session's, so checkRoomAccess counts and locks them out the same way.
+function getApiPasscodeAttempts(ip) {
+  if (!apiPasscodeAttempts.has(ip)) {
+    apiPasscodeAttempts.set(ip, { passcodeAttempts: {} });
+  }
+  return apiPasscodeAttempts.get(ip);
+}
+
+// Helper function to forget API clients whose wrong passcodes are all past the lockout window
+function pruneApiPasscodeAttempts() {
+  const windowStart = Date.now() - PASSCODE_LOCKOUT_MS;
+  for (const [ip, { passcodeAttempts }] of apiPasscodeAttempts) {
+    if (Object.values(passcodeAttempts).every((attempts) => attempts.firstAt <= windowStart)) {
+      apiPasscodeAttempts.delete(ip);
+    }
+  }
+}
+
+// Helper function to answer an API call with an error
+function sendApiError(res, error) {
+  res.status(API_ERROR_STATUS[error.code] || 400).json({ code: error.code, error: error.message });
+}
+
+// Helper function to answer an API call with the room's fresh state
+function sendApiRoom(res, roomId, memberId) {
+  const room = db.getRoom(roomId);
+  const member = room.members.find((m) => m.id === memberId);
+  res.json({ room: getSanitizedRoom(room), member: getApiMember(member) });
+}
+
+// Helper function to describe the token holder (their own vote included)
+function getApiMember(member) {
+  return {
+    name: member.name,
+    role: member.role,
+    isAdmin: ADMIN_ROOM_ROLES.includes(member.roomRole),
+    vote: member.point,
+  };
+}
 
-// Track pending disconnections for grace period handling
-const pendingDisconnections = new Map();
+// ============== WebSocket Handling ==============
 
 io.on("connection", (socket) => {
   console.log(`[Socket] User connected: ${socket.id}`);
 
+  // Throttle and validate every incoming event before it reaches a handler
+  const socketIp = getSocketIp(socket);
+  socket.use(([event, payload], next) => {
+    const eventLimiter = eventLimiters[event];
+    const allowed =
+      socketLimiter.take(socket.id) &&
+      ipLimiter.take(socketIp) &&
+      (!eventLimiter || eventLimiter.take(socket.id));
+
+    if (!allowed) {
+      socket.emit("room:error", {
+        code: "RATE_LIMITED",
+        message: "You're doing that too often. Please slow down.",
+      });
+      return;
+    }
+
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) {
+      socket.emit("room:error", { code: "UNKNOWN_EVENT", message: `Unknown event: ${event}` });
+      return;
+    }
+
+    const invalid = validatePayload(schema, payload);
+    if (invalid) {
+      socket.emit("room:error", invalid);
+      return;
+    }
+
+    next();
+  });
+
   // Handle connection state recovery
   if (socket.recovered) {
     console.log(`[Socket] Recovered connection for: ${socket.id}`);
@@ -310,40 +923,44 @@ io.on("connection", (socket) => {
   }
 
   // Join room - handles session checking server-side
-  socket.on("room:join", async ({ roomId, name, adminToken }) => {
+  socket.on("room:join", async ({ roomId, name, role, invite, passcode }) => {
     if (checkRoomExpiration(roomId)) {
-      socket.emit("room:error", { message: "Room not found or has expired." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
     const room = db.getRoom(roomId);
     if (!room) {
-      socket.emit("room:error", { message: "Room not found." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
     const socketSession = socket.handshake.session;
     const sessionIdentifier = socketSession?.id;
 
+    if (db.isSessionBanned(roomId, sessionIdentifier)) {
+      socket.emit("room:error", { code: "BANNED", message: BANNED_MESSAGE });
+      return;
+    }
+
     // Debug logging
     console.log(`[room:join] Socket ID: ${socket.id}`);
     console.log(`[room:join] Session ID: ${sessionIdentifier}`);
-    console.log(`[room:join] Requested name: ${name}, adminToken: ${adminToken ? 'provided' : 'not provided'}`);
+    console.log(`[room:join] Requested name: ${name}`);
 
-    // Get user session data for this room
-    const userSession = socketSession?.rooms?.[roomId];
+    // Get user session data for this room (removed and pruned members have none any more)
+    const existingMember = getJoinedMember(socketSession, room);
+    const userSession = getRoomSession(socketSession, room);
 
-    // Determine the user's name and admin status from session or request
-    let userName = name;
-    let userAdminToken = adminToken;
+    // Determine the user's name from session or request (admin status comes from the member record)
+    let userName = name?.trim();
     let isNewUser = true;
 
     if (userSession) {
       // User has an existing session for this room
       userName = userSession.name;
-      userAdminToken = userSession.adminToken || null;
       isNewUser = false;
-    } else if (!name) {
+    } else if (!userName) {
       // No session and no name provided - this is a fallback for edge cases
       // Normal flow handles this via HTTP redirect to join page
       socket.emit("room:needsJoin", {
@@ -352,26 +969,34 @@ io.on("connection", (socket) => {
         adminName: room.adminName,
       });
       return;
+    } else {
+      // Joining straight over the socket needs the same invite code and passcode as the join form
+      const accessError = checkRoomAccess(socketSession, room, { invite, passcode });
+      if (accessError) {
+        socketSession?.save((err) => {
+          if (err) {
+            console.error("[room:join] Failed to save session:", err);
+          }
+        });
+        socket.emit("room:error", accessError);
+        return;
+      }
     }
 
     // Cancel any pending disconnection for this session
-    const pendingKey = `${roomId}:${sessionIdentifier}`;
-    if (pendingDisconnections.has(pendingKey)) {
-      clearTimeout(pendingDisconnections.get(pendingKey));
-      pendingDisconnections.delete(pendingKey);
+    if (db.cancelTimer(`handover:${roomId}:${sessionIdentifier}`)) {
       console.log(`[room:join] Cancelled pending disconnection for ${userName}`);
     }
+    cancelMemberPrune(roomId, sessionIdentifier);
 
-    // Look for existing member by session identifier or name
-    let existingMember = db.getMemberBySession(roomId, sessionIdentifier);
-    if (!existingMember && userName) {
-      existingMember = db.getMemberByName(roomId, userName);
-    }
+    const userRole =
+      (userSession?.role || role) === OBSERVER_ROLE ? OBSERVER_ROLE : VOTER_ROLE;
 
     // Check room capacity for new members
-    if (!existingMember && room.members.length >= MAX_ROOM_CAPACITY) {
+    if (!existingMember && !hasCapacity(room, userRole)) {
       socket.emit("room:error", {
-        message: "Room is full. Maximum 10 users allowed.",
+        code: "ROOM_FULL",
+        message: getCapacityError(userRole),
       });
       return;
     }
@@ -386,7 +1011,7 @@ io.on("connection", (socket) => {
       isReconnecting = existingMember.connected === true || existingMember.socketId !== null;
       isFirstConnection = !isReconnecting;
       
-      db.updateMemberSocket(existingMember.id, socket.id, sessionIdentifier, true);
+      db.updateMemberSocket(existingMember.id, socket.id, sessionIdentifier, true, SERVER_ID);
       member = { ...existingMember, socketId: socket.id, sessionId: sessionIdentifier, connected: true };
       console.log(`[room:join] User ${userName} ${isReconnecting ? 'reconnected to' : 'connected to'} room ${roomId}`);
     } else {
@@ -397,26 +1022,29 @@ io.on("connection", (socket) => {
         name: userName,
         point: null,
         connected: true,
+        role: userRole,
+        roomRole: isRoomOwnerSession(socketSession, room) ? OWNER_ROOM_ROLE : MEMBER_ROOM_ROLE,
+        serverId: SERVER_ID,
       });
 
       if (!member) {
         socket.emit("room:error", {
+          code: "NAME_TAKEN",
           message: "This name is already taken in the room.",
         });
         return;
       }
 
-      // Store in session if not already there
-      if (socketSession && !userSession) {
+      logActivity(roomId, "join", member, { role: member.role });
+
+      // Remember the new member record in the session
+      if (socketSession) {
         if (!socketSession.rooms) {
           socketSession.rooms = {};
         }
-        socketSession.rooms[roomId] = {
-          name: userName,
-          isAdmin: userAdminToken === room.adminToken,
-          adminToken: userAdminToken === room.adminToken ? userAdminToken : null,
-          joinedAt: Date.now(),
-        };
+        socketSession.rooms[roomId] = userSession
+          ? { ...userSession, memberId: member.id }
+          : { name: userName, role: userRole, memberId: member.id, joinedAt: Date.now() };
 
         socketSession.save((err) => {
           if (err) {
@@ -433,30 +1061,37 @@ io.on("connection", (socket) => {
     socket.sessionId = sessionIdentifier;
     socket.memberId = member.id;
 
-    const isAdmin = userAdminToken === room.adminToken;
+    // The creator gets the owner role back if their member record was recreated
+    if (isRoomOwnerSession(socketSession, room) && member.roomRole !== OWNER_ROOM_ROLE) {
+      db.setMemberRoomRole(member.id, OWNER_ROOM_ROLE);
+    }
 
     // Get fresh room data
     const freshRoom = db.getRoom(roomId);
+    const isAdmin = isRoomAdmin(socketSession, freshRoom);
 
     // Send current game state
     socket.emit("room:joined", {
       room: getSanitizedRoom(freshRoom),
       isAdmin: isAdmin,
       userName: userName,
+      role: member.role,
       isReconnecting: isReconnecting,
       isNewUser: isNewUser,
       previousVote: freshRoom.revealed ? member.point : member.point !== null,
+      serverTime: Date.now(),
     });
 
     // Notify others
     if (!isReconnecting || isFirstConnection) {
       // New member or first WebSocket connection after HTTP join
       socket.to(roomId).emit("room:memberJoined", {
-        member: { name: userName, hasVoted: false },
+        member: { name: userName, hasVoted: false, role: member.role },
         members: getSanitizedMembers(freshRoom),
       });
     } else {
       // Actual reconnection (was connected before, disconnected, now back)
+      logActivity(roomId, "reconnect", member);
       socket.to(roomId).emit("room:memberReconnected", {
         memberName: userName,
         members: getSanitizedMembers(freshRoom),
@@ -469,201 +1104,469 @@ io.on("connection", (socket) => {
   // Submit vote
   socket.on("vote:submit", async ({ roomId, point }) => {
     if (checkRoomExpiration(roomId)) {
-      socket.emit("room:error", { message: "Room not found or has expired." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
     const member = db.getMemberBySocket(roomId, socket.id);
     if (!member) {
       socket.emit("room:error", {
+        code: "NOT_A_MEMBER",
         message: "You are not a member of this room.",
       });
       return;
     }
 
-    // Update the vote
-    db.updateMemberPoint(member.id, point);
+    const voteError = submitVote(db.getRoom(roomId), member, point);
+    if (voteError) {
+      socket.emit("room:error", voteError);
+    }
+  });
+
+  // Reveal votes (admin only)
+  socket.on("votes:reveal", async ({ roomId }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
 
-    // Get fresh room data
     const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
 
-    // Notify all users about the vote (without revealing the value)
-    io.to(roomId).emit("vote:updated", {
-      members: getSanitizedMembers(room),
-      voterName: member.name,
-    });
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "votes:reveal")) {
+      return;
+    }
+
+    const results = revealVotes(room, "admin", getSessionMember(socket.handshake.session, room));
 
-    console.log(`[vote:submit] ${member.name} voted ${point} in room ${roomId}`);
+    console.log(`[votes:reveal] Votes revealed in room ${roomId}. Average: ${results.average}`);
   });
 
-  // Reveal votes (admin only)
-  socket.on("votes:reveal", async ({ roomId }) => {
+  // Reset votes for new round (admin only)
+  socket.on("votes:reset", async ({ roomId }) => {
     if (checkRoomExpiration(roomId)) {
-      socket.emit("room:error", { message: "Room not found or has expired." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
     const room = db.getRoom(roomId);
     if (!room) {
-      socket.emit("room:error", { message: "Room not found." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
-    // Verify admin status from session
-    const socketSession = socket.handshake.session;
-    const userSession = socketSession?.rooms?.[roomId];
-    
-    if (!userSession?.isAdmin || userSession?.adminToken !== room.adminToken) {
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "votes:reset")) {
+      return;
+    }
+
+    resetVotes(room, getSessionMember(socket.handshake.session, room));
+  });
+
+  // Extend the room's lifetime (admin only)
+  socket.on("room:extend", async ({ roomId, minutes }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "room:extend")) {
+      return;
+    }
+
+    if (!ROOM_EXTEND_OPTIONS_MIN.includes(minutes)) {
       socket.emit("room:error", {
-        message: "Only the admin can reveal votes.",
+        code: "INVALID_EXTENSION",
+        message: `Rooms can be extended by ${ROOM_EXTEND_OPTIONS_MIN.join(", ")} minutes.`,
       });
       return;
     }
 
-    // Update room state
-    db.setRoomRevealed(roomId, true);
+    const maxExpiresAt = room.createdAt + MAX_ROOM_LIFETIME_MS;
+    if (room.expiresAt >= maxExpiresAt) {
+      socket.emit("room:error", {
+        code: "MAX_LIFETIME_REACHED",
+        message: "This room has reached its maximum lifetime.",
+      });
+      return;
+    }
 
-    // Get fresh room data
-    const freshRoom = db.getRoom(roomId);
+    const expiresAt = Math.min(room.expiresAt + minutes * 60 * 1000, maxExpiresAt);
+    db.setRoomExpiresAt(roomId, expiresAt);
+    logActivity(roomId, "extend", getSessionMember(socket.handshake.session, room), { minutes: minutes });
 
-    // Calculate average (only for numeric votes)
-    const numericVotes = freshRoom.members
-      .filter((m) => m.point !== null && typeof m.point === "number")
-      .map((m) => m.point);
-
-    const average =
-      numericVotes.length > 0
-        ? (numericVotes.reduce((a, b) => a + b, 0) / numericVotes.length).toFixed(1)
-        : null;
-
-    // Send revealed data to all users
-    io.to(roomId).emit("votes:revealed", {
-      members: freshRoom.members.map((m) => ({
-        name: m.name,
-        point: m.point,
-        hasVoted: m.point !== null,
-      })),
-      average: average,
+    // Broadcast the authoritative expiry so every countdown stays in sync
+    io.to(roomId).emit("room:extended", {
+      expiresAt: db.getRoom(roomId).expiresAt,
+      serverTime: Date.now(),
+      minutes: minutes,
     });
 
-    console.log(`[votes:reveal] Votes revealed in room ${roomId}. Average: ${average}`);
+    console.log(`[room:extend] Room ${roomId} extended by ${minutes} minutes`);
   });
 
-  // Reset votes for new round (admin only)
-  socket.on("votes:reset", async ({ roomId }) => {
+  // Promote a member to co-admin (admin only)
+  socket.on("member:promote", async ({ roomId, memberName }) => {
     if (checkRoomExpiration(roomId)) {
-      socket.emit("room:error", { message: "Room not found or has expired." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
     const room = db.getRoom(roomId);
     if (!room) {
-      socket.emit("room:error", { message: "Room not found." });
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
       return;
     }
 
-    // Verify admin status from session
-    const socketSession = socket.handshake.session;
-    const userSession = socketSession?.rooms?.[roomId];
-    
-    if (!userSession?.isAdmin || userSession?.adminToken !== room.adminToken) {
-      socket.emit("room:error", { message: "Only the admin can reset votes." });
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "member:promote")) {
       return;
     }
 
-    // Reset all votes
-    db.resetAllMemberPoints(roomId);
-    db.setRoomRevealed(roomId, false);
+    const member = room.members.find((m) => m.name === memberName);
+    if (!member) {
+      socket.emit("room:error", { code: "MEMBER_NOT_FOUND", message: "Member not found." });
+      return;
+    }
 
-    // Get fresh room data
-    const freshRoom = db.getRoom(roomId);
+    if (member.isAdmin) {
+      socket.emit("room:error", { code: "ALREADY_ADMIN", message: `${member.name} is already an admin.` });
+      return;
+    }
+
+    promoteMember(room, member, false, getSessionMember(socket.handshake.session, room));
+  });
+
+  // Remove a member from the room, optionally banning their session (admin only)
+  socket.on("member:remove", async ({ roomId, memberName, ban }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "member:remove")) {
+      return;
+    }
+
+    const member = room.members.find((m) => m.name === memberName);
+    if (!member) {
+      socket.emit("room:error", { code: "MEMBER_NOT_FOUND", message: "Member not found." });
+      return;
+    }
+
+    const removeError = removeMember(room, member, ban, getSessionMember(socket.handshake.session, room));
+    if (removeError) {
+      socket.emit("room:error", removeError);
+    }
+  });
+
+  // Set the agreed estimate for the current story (admin only)
+  socket.on("estimate:set", async ({ roomId, estimate }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "estimate:set")) {
+      return;
+    }
+
+    if (!room.revealed || !room.currentStoryId) {
+      socket.emit("room:error", {
+        code: "NOT_REVEALED",
+        message: "Reveal the votes before setting the final estimate.",
+      });
+      return;
+    }
+
+    // The final estimate must be a regular card of the room's deck
+    const card = findCard(room.deck, estimate);
+    if (!card || card.special) {
+      socket.emit("room:error", {
+        code: "INVALID_ESTIMATE",
+        message: "That card is not a valid estimate for this room's deck.",
+      });
+      return;
+    }
+
+    db.setStoryEstimate(roomId, room.currentStoryId, card.value);
+    logActivity(roomId, "estimate", getSessionMember(socket.handshake.session, room), {
+      estimate: card.value,
+    });
 
     // Notify all users
-    io.to(roomId).emit("votes:reset", {
-      members: getSanitizedMembers(freshRoom),
+    io.to(roomId).emit("estimate:set", {
+      storyId: room.currentStoryId,
+      estimate: card.value,
+      ...getSanitizedStories(db.getRoom(roomId)),
     });
 
-    console.log(`[votes:reset] Votes reset in room ${roomId}`);
+    console.log(`[estimate:set] Final estimate ${card.value} set in room ${roomId}`);
   });
 
-  // End session (admin only)
-  socket.on("room:end", async ({ roomId }) => {
+  // Add a story to the backlog (admin only)
+  socket.on("story:add", async ({ roomId, title, description }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
     const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
 
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "story:add")) {
+      return;
+    }
+
+    const storyTitle = typeof title === "string" ? title.trim() : "";
+    if (!storyTitle) {
+      socket.emit("room:error", { code: "VALUE_REQUIRED", message: "Please enter a story title." });
+      return;
+    }
+
+    db.addStory(roomId, {
+      title: storyTitle,
+      description: typeof description === "string" ? description.trim() : null,
+    });
+    logActivity(roomId, "story_add", getSessionMember(socket.handshake.session, room), { title: storyTitle });
+
+    // Notify all users
+    io.to(roomId).emit("stories:updated", getSanitizedStories(db.getRoom(roomId)));
+
+    console.log(`[story:add] Story "${storyTitle}" added to room ${roomId}`);
+  });
+
+  // Reorder the backlog (admin only)
+  socket.on("story:reorder", async ({ roomId, storyIds }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
     if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "story:reorder")) {
+      return;
+    }
+
+    if (!db.reorderStories(roomId, storyIds)) {
+      socket.emit("room:error", { code: "INVALID_STORY_ORDER", message: "Invalid story order." });
+      return;
+    }
+    logActivity(roomId, "story_reorder", getSessionMember(socket.handshake.session, room));
+
+    // Notify all users
+    io.to(roomId).emit("stories:updated", getSanitizedStories(db.getRoom(roomId)));
+
+    console.log(`[story:reorder] Stories reordered in room ${roomId}`);
+  });
+
+  // Change voting settings: auto-reveal and default countdown (admin only)
+  socket.on("room:settings", async ({ roomId, autoReveal, countdownSeconds, allowRevotes }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "room:settings")) {
+      return;
+    }
+
+    const seconds = Number(countdownSeconds) || 0;
+    if (seconds !== 0 && !COUNTDOWN_OPTIONS_SEC.includes(seconds)) {
       socket.emit("room:error", {
-        message: "Room not found or has already ended.",
+        code: "INVALID_COUNTDOWN",
+        message: `Countdown must be one of: ${COUNTDOWN_OPTIONS_SEC.join(", ")} seconds.`,
       });
       return;
     }
 
-    // Verify admin status from session
-    const socketSession = socket.handshake.session;
-    const userSession = socketSession?.rooms?.[roomId];
-    
-    if (!userSession?.isAdmin || userSession?.adminToken !== room.adminToken) {
+    const settings = {
+      autoReveal: Boolean(autoReveal),
+      countdownSeconds: seconds,
+      allowRevotes: Boolean(allowRevotes),
+    };
+    db.setRoomSettings(roomId, settings);
+    logActivity(roomId, "settings", getSessionMember(socket.handshake.session, room), settings);
+
+    // Notify all users
+    io.to(roomId).emit("room:settingsUpdated", settings);
+
+    console.log(`[room:settings] Room ${roomId} auto-reveal: ${settings.autoReveal}, countdown: ${seconds}s, revotes: ${settings.allowRevotes}`);
+
+    // Turning auto-reveal on may already be satisfied
+    autoRevealIfReady(roomId);
+  });
+
+  // Start the voting countdown for the current round (admin only)
+  socket.on("countdown:start", async ({ roomId, seconds }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "countdown:start")) {
+      return;
+    }
+
+    if (room.revealed) {
       socket.emit("room:error", {
-        message: "Only the admin can end the session.",
+        code: "ROUND_REVEALED",
+        message: "Votes are already revealed. Start a new round first.",
       });
       return;
     }
 
-    // Notify all users
-    io.to(roomId).emit("room:ended", {
-      message: "The session has been ended by the admin.",
+    // Falls back to the room's default countdown
+    const countdownSeconds = Number(seconds) || room.countdownSeconds;
+    if (!COUNTDOWN_OPTIONS_SEC.includes(countdownSeconds)) {
+      socket.emit("room:error", {
+        code: "INVALID_COUNTDOWN",
+        message: `Countdown must be one of: ${COUNTDOWN_OPTIONS_SEC.join(", ")} seconds.`,
+      });
+      return;
+    }
+
+    startCountdown(roomId, countdownSeconds);
+    logActivity(roomId, "countdown", getSessionMember(socket.handshake.session, room), {
+      seconds: countdownSeconds,
     });
 
-    // Delete the room
-    db.deleteRoom(roomId);
+    console.log(`[countdown:start] ${countdownSeconds}s countdown started in room ${roomId}`);
+  });
+
+  // Replace the invite link; links with the old code stop working (admin only)
+  socket.on("room:rotateInvite", async ({ roomId }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "room:rotateInvite")) {
+      return;
+    }
+
+    const inviteCode = generateInviteCode();
+    db.setRoomInviteCode(roomId, inviteCode);
+    logActivity(roomId, "invite_rotated", getSessionMember(socket.handshake.session, room));
+
+    // Members already in the room keep their seats; only the link changes
+    io.to(roomId).emit("room:inviteRotated", { inviteCode: inviteCode });
+
+    console.log(`[room:rotateInvite] Invite link rotated for room ${roomId}`);
+  });
+
+  // Send the room's activity log to the admin panel (admin only)
+  socket.on("audit:fetch", async ({ roomId }) => {
+    if (checkRoomExpiration(roomId)) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    const room = db.getRoom(roomId);
+    if (!room) {
+      socket.emit("room:error", ROOM_NOT_FOUND_ERROR);
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "audit:view")) {
+      return;
+    }
+
+    socket.emit("audit:log", { events: getActivityLog(roomId) });
+  });
+
+  // End session (admin only)
+  socket.on("room:end", async ({ roomId }) => {
+    const room = db.getRoom(roomId);
+
+    if (!room) {
+      socket.emit("room:error", {
+        code: "ROOM_NOT_FOUND",
+        message: "Room not found or has already ended.",
+      });
+      return;
+    }
+
+    // Verify admin status (creator or co-admin)
+    if (!authorizeSocket(socket, room, "room:end")) {
+      return;
+    }
 
-    console.log(`[room:end] Room ${roomId} ended by admin.`);
+    endRoom(room, getSessionMember(socket.handshake.session, room));
   });
 
   // Handle disconnect with grace period
   socket.on("disconnect", async (reason) => {
     const roomId = socket.roomId;
-    const userName = socket.userName;
-    const sessionId = socket.sessionId;
     const memberId = socket.memberId;
 
     console.log(`[Socket] User disconnected: ${socket.id}, reason: ${reason}`);
 
-    if (roomId && memberId) {
-      // Mark member as disconnected immediately
-      db.updateMemberConnection(memberId, null, false);
-
-      // Notify others immediately
-      const room = db.getRoom(roomId);
-      if (room) {
-        io.to(roomId).emit("room:memberDisconnected", {
-          memberName: userName,
-          members: getSanitizedMembers(room),
-        });
-
-        console.log(`[disconnect] ${userName} disconnected from room ${roomId}`);
-
-        // Set up grace period for room deletion if everyone is gone
-        const connectedCount = db.getConnectedMemberCount(roomId);
-        if (connectedCount === 0) {
-          const pendingKey = `room:${roomId}`;
-
-          // Clear any existing timeout for this room
-          if (pendingDisconnections.has(pendingKey)) {
-            clearTimeout(pendingDisconnections.get(pendingKey));
-          }
+    socketLimiter.remove(socket.id);
+    Object.values(eventLimiters).forEach((l) => l.remove(socket.id));
 
-          // Set a timeout to delete the room if no one reconnects
-          const timeoutId = setTimeout(() => {
-            const currentConnectedCount = db.getConnectedMemberCount(roomId);
-            if (currentConnectedCount === 0) {
-              db.deleteRoom(roomId);
-              console.log(`[disconnect] Room ${roomId} deleted (all members disconnected).`);
-            }
-            pendingDisconnections.delete(pendingKey);
-          }, DISCONNECT_GRACE_PERIOD_MS);
-
-          pendingDisconnections.set(pendingKey, timeoutId);
-        }
+    if (roomId && memberId) {
+      // Skip members already removed, or already back on another socket
+      const member = db.getRoom(roomId)?.members.find((m) => m.id === memberId);
+      if (member && member.socketId === socket.id) {
+        disconnectMember(roomId, member);
       }
     }
   });
@@ -674,8 +1577,790 @@ io.on("connection", (socket) => {
   });
 });
 
+// ============== Room Access ==============
+
+// Check a newcomer's invite code and passcode. Returns a { code, message } error, or null if they may join.
+// Wrong passcodes are counted in the session (per IP over the API); too many lock it out for a while.
+function checkRoomAccess(session, room, { invite, passcode }) {
+  if (room.inviteCode && invite !== room.inviteCode) {
+    return { code: "INVALID_INVITE", message: INVALID_INVITE_MESSAGE };
+  }
+
+  if (!room.passcodeHash) return null;
+
+  const attempts = session?.passcodeAttempts?.[room.id];
+  const windowOpen = attempts && Date.now() - attempts.firstAt < PASSCODE_LOCKOUT_MS;
+  if (windowOpen && attempts.count >= MAX_PASSCODE_ATTEMPTS) {
+    return {
+      code: "TOO_MANY_ATTEMPTS",
+      message: "Too many wrong passcodes. Try again in a few minutes.",
+    };
+  }
+
+  if (!verifyPasscode(passcode, room.passcodeHash)) {
+    if (session) {
+      session.passcodeAttempts = session.passcodeAttempts || {};
+      session.passcodeAttempts[room.id] = windowOpen
+        ? { ...attempts, count: attempts.count + 1 }
+        : { count: 1, firstAt: Date.now() };
+    }
+    return {
+      code: "INVALID_PASSCODE",
+      message: passcode ? "Wrong passcode." : "This room needs a passcode.",
+    };
+  }
+
+  if (session?.passcodeAttempts) {
+    delete session.passcodeAttempts[room.id];
+  }
+  return null;
+}
+
+// A session's entry for a room, or null. The entry only counts while its member record is in the room:
+// removed and pruned members are newcomers again and need the current invite and passcode. The creator's
+// entry holds the room's admin token, which still lets them back in.
+function getRoomSession(session, room) {
+  const userSession = session?.rooms?.[room.id];
+  if (!userSession) return null;
+  if (getJoinedMember(session, room) || isRoomOwnerSession(session, room)) return userSession;
+
+  delete session.rooms[room.id];
+  return null;
+}
+
+// Find the member record a session joined a room as. Entries that name their member (entries saved
+// before member ids were stored only have the session) match nobody once that member is gone.
+function getJoinedMember(session, room) {
+  const member = getSessionMember(session, room);
+  const memberId = session?.rooms?.[room.id]?.memberId;
+  return member && (!memberId || member.id === memberId) ? member : null;
+}
+
+// Helper function to build the shareable link (carries the room's current invite code)
+function getInviteUrl(req, room) {
+  const roomUrl = `${req.protocol}://${req.get('host')}/play/${room.id}`;
+  return room.inviteCode ? `${roomUrl}?invite=${room.inviteCode}` : roomUrl;
+}
+
+// ============== Room Actions ==============
+
+// Create a room from the create form (or API) fields, with the creator as its owner. sessionId is the
+// creator's session (the stand-in one over the API). Returns { room, owner, adminToken } or { error }.
+function createRoomWithOwner(fields, sessionId, source) {
+  const deck = resolveDeck(fields.deckType, fields.customDeck, fields.specialCards);
+  if (!deck) {
+    return {
+      error: {
+        code: "INVALID_DECK",
+        message: "Invalid deck. Use 2 to 20 unique, comma-separated cards (e.g. \"1 🐜, 2 🐇, 3 🐘\").",
+      },
+    };
+  }
+
+  // Room lifetime chosen on the create form (falls back to the default)
+  const durationMs = ROOM_DURATION_OPTIONS_MIN.includes(fields.duration)
+    ? fields.duration * 60 * 1000
+    : ROOM_DURATION_MS;
+
+  // Optional passcode (stored hashed)
+  const passcode = fields.passcode || "";
+  if (passcode && (passcode.length < MIN_PASSCODE_LENGTH || passcode.length > MAX_PASSCODE_LENGTH)) {
+    return {
+      error: {
+        code: "INVALID_PASSCODE",
+        message: `The passcode must be ${MIN_PASSCODE_LENGTH} to ${MAX_PASSCODE_LENGTH} characters long.`,
+      },
+    };
+  }
+
+  const adminToken = randomUUID();
+
+  const room = db.createRoom({
+    taskTitle: fields.taskTitle.trim(),
+    taskDescription: fields.taskDescription?.trim(),
+    adminToken: adminToken,
+    adminName: fields.name.trim(),
+    deckType: deck.type,
+    deck: deck.cards,
+    durationMs: durationMs,
+    autoReveal: Boolean(fields.autoReveal),
+    allowRevotes: Boolean(fields.allowRevotes),
+    // Optional default voting countdown (seconds)
+    countdownSeconds: COUNTDOWN_OPTIONS_SEC.includes(fields.countdown) ? fields.countdown : 0,
+    passcodeHash: passcode ? hashPasscode(passcode) : null,
+    inviteCode: generateInviteCode(),
+  });
+
+  // The creator's member record carries the owner role from the start
+  const owner = db.addMember(room.id, {
+    sessionId: sessionId,
+    socketId: null, // Will be set when WebSocket connects
+    name: fields.name.trim(),
+    point: null,
+    connected: false,
+    roomRole: OWNER_ROOM_ROLE,
+    source: source,
+  });
+  logActivity(room.id, "room_created", owner, { taskTitle: room.taskTitle });
+
+  return { room: db.getRoom(room.id), owner, adminToken };
+}
+
+// Reserve a seat for a newcomer (join form or API). The name must be free and the room must have
+// room for the role (voters and observers have separate caps). Returns { member } or { error }.
+function addRoomMember(room, { name, role, sessionId, source }) {
+  const nameTaken = { code: "NAME_TAKEN", message: "This name is already taken in the room." };
+  if (db.getMemberByName(room.id, name)) {
+    return { error: nameTaken };
+  }
+
+  if (!hasCapacity(room, role)) {
+    return { error: { code: "ROOM_FULL", message: getCapacityError(role) } };
+  }
+
+  const member = db.addMember(room.id, {
+    sessionId: sessionId,
+    socketId: null, // Will be set when WebSocket connects
+    name: name,
+    point: null,
+    connected: false, // Not connected via WebSocket yet
+    role: role,
+    source: source,
+  });
+  if (!member) {
+    return { error: nameTaken };
+  }
+
+  logActivity(room.id, "join", member, { role: role });
+  return { member };
+}
+
+// Cast (or change) a member's vote and tell the room. Shared by the socket and REST API handlers.
+// Returns a { code, message } error, or null once the vote is in.
+function submitVote(room, member, point) {
+  // Observers watch the session but don't vote
+  if (member.role === OBSERVER_ROLE) {
+    return { code: "OBSERVER_CANNOT_VOTE", message: "Observers can't vote." };
+  }
+
+  // Only accept cards from the room's deck
+  const card = findCard(room.deck, point);
+  if (!card) {
+    return { code: "INVALID_VOTE", message: "That card is not part of this room's deck." };
+  }
+
+  // Once revealed, votes are locked unless the room allows revotes
+  if (room.revealed) {
+    if (!room.allowRevotes) {
+      return { code: "VOTES_LOCKED", message: "Votes are locked once revealed. Wait for the next round." };
+    }
+
+    changeRevealedVote(room, member, card.value);
+    return null;
+  }
+
+  // Update the vote
+  db.updateMemberPoint(member.id, card.value);
+  if (member.point === null) {
+    logActivity(room.id, "vote", member, { point: card.value });
+  } else {
+    logActivity(room.id, "vote_changed", member, { from: member.point, point: card.value });
+  }
+
+  // Notify all users about the vote (without revealing the value)
+  io.to(room.id).emit("vote:updated", {
+    members: getSanitizedMembers(db.getRoom(room.id)),
+    voterName: member.name,
+  });
+
+  console.log(`[vote:submit] ${member.name} voted ${card.value} in room ${room.id}`);
+
+  // Reveal on its own once everyone present has voted (if enabled)
+  autoRevealIfReady(room.id);
+  return null;
+}
+
+// Start a new round; member is the admin who asked for it. A revealed round finishes the
+// current story first: its result is kept and the backlog moves on to the next one.
+function resetVotes(room, member) {
+  const roomId = room.id;
+
+  if (room.revealed) {
+    db.advanceStory(roomId, getRevealResults(room).average);
+  }
+  logActivity(roomId, "reset", member, { advanced: room.revealed });
+
+  // Reset all votes (a running countdown belongs to the old round)
+  clearCountdown(roomId);
+  db.resetAllMemberPoints(roomId);
+  db.setRoomRevealed(roomId, false);
+
+  // Get fresh room data
+  const freshRoom = db.getRoom(roomId);
+
+  // Notify all users
+  io.to(roomId).emit("votes:reset", {
+    members: getSanitizedMembers(freshRoom),
+    ...getSanitizedStories(freshRoom),
+  });
+
+  console.log(`[votes:reset] Votes reset in room ${roomId}. Current story: ${freshRoom.currentStoryId}`);
+}
+
+// Remove a member on an admin's request (admin is their member record), optionally banning their
+// session. Returns a { code, message } error, or null once the member is out.
+function removeMember(room, member, ban, admin) {
+  const roomId = room.id;
+
+  if (member.isAdmin) {
+    return { code: "CANNOT_REMOVE_ADMIN", message: `${member.name} is an admin and can't be removed.` };
+  }
+
+  // Ban first, so the removed session can't slip back in
+  const banned = Boolean(ban) && Boolean(member.sessionId);
+  if (banned) {
+    db.banSession(roomId, member.sessionId, member.name);
+  }
+
+  // Tell the member before their socket leaves the room (the socket may belong to another process)
+  if (member.socketId) {
+    io.to(member.socketId).emit("room:removed", {
+      message: banned ? BANNED_MESSAGE : "You have been removed from this room by an admin.",
+      banned: banned,
+    });
+  }
+
+  logActivity(roomId, "remove", admin, { member: member.name, banned: banned });
+  removeMemberFromRoom(roomId, member, "removed");
+
+  console.log(`[member:remove] ${member.name} ${banned ? "banned from" : "removed from"} room ${roomId}`);
+  return null;
+}
+
+// A member leaves for good: their seat and name are freed, admin powers are handed over if nobody
+// else holds them, and the last member out closes the room
+function leaveRoom(roomId, member) {
+  logActivity(roomId, "leave", member, { reason: "left" });
+  removeMemberFromRoom(roomId, member, "left");
+
+  if (member.isAdmin) {
+    handOverAdmin(roomId);
+  }
+
+  if (db.getMemberCount(roomId) === 0) {
+    db.deleteRoom(roomId);
+    clearCountdown(roomId);
+    console.log(`[leave] Room ${roomId} deleted (everyone left).`);
+  }
+
+  console.log(`[leave] ${member.name} left room ${roomId}`);
+}
+
+// End the session for everyone; member is the admin who ended it
+function endRoom(room, member) {
+  // Notify all users
+  io.to(room.id).emit("room:ended", {
+    message: "The session has been ended by the admin.",
+  });
+
+  // Delete the room
+  db.deleteRoom(room.id);
+  clearCountdown(room.id);
+
+  console.log(`[room:end] Room ${room.id} ended by ${member?.name ?? "an admin"}.`);
+}
+
+// ============== Reveal & Countdown ==============
+
+// Reveal the current round to everyone, record it in the history and stop any countdown.
+// trigger is "admin", "auto" or "countdown"; member is the admin who revealed, if any
+function revealVotes(room, trigger, member) {
+  const roomId = room.id;
+  clearCountdown(roomId);
+
+  // Update room state (the votes as revealed are kept, so revotes can be shown next to them)
+  db.setRoomRevealed(roomId, true);
+  if (!room.revealed) {
+    db.keepRevealedPoints(roomId);
+  }
+
+  // Get fresh room data
+  const freshRoom = db.getRoom(roomId);
+
+  // Calculate statistics (special cards are left out of numeric stats)
+  const results = getRevealResults(freshRoom);
+
+  // Keep the round in the room's history (only the first reveal of a round counts)
+  if (!room.revealed) {
+    const round = db.recordRound(roomId, {
+      storyId: freshRoom.currentStoryId,
+      storyTitle: freshRoom.taskTitle,
+      votes: getVoters(freshRoom)
+        .filter((m) => m.point !== null)
+        .map((m) => ({ name: m.name, point: m.point })),
+      average: results.average,
+    });
+
+    io.to(roomId).emit("history:recorded", { round: round });
+    logActivity(roomId, "reveal", member ?? null, { trigger: trigger, average: results.average });
+  }
+
+  // Send revealed data to all users
+  io.to(roomId).emit("votes:revealed", {
+    members: getRevealedMembers(freshRoom),
+    ...results,
+  });
+
+  return results;
+}
+
+// Change a vote after the reveal (rooms that allow revotes): everyone sees who moved, from what to what
+function changeRevealedVote(room, member, point) {
+  if (member.point === point) return;
+
+  db.updateMemberPoint(member.id, point);
+  logActivity(room.id, "revote", member, { from: member.point, point: point });
+
+  const freshRoom = db.getRoom(room.id);
+  io.to(room.id).emit("vote:changed", {
+    memberName: member.name,
+    originalPoint: member.revealedPoint,
+    previousPoint: member.point,
+    point: point,
+    members: getRevealedMembers(freshRoom),
+    ...getRevealResults(freshRoom),
+  });
+
+  console.log(`[vote:submit] ${member.name} changed their vote from ${member.point} to ${point} in room ${room.id}`);
+}
+
+// Reveal automatically when the room asks for it and every present voter has voted
+function autoRevealIfReady(roomId) {
+  const room = db.getRoom(roomId);
+  if (!room || !room.autoReveal || room.revealed) return;
+
+  const presentVoters = getVoters(room).filter(isPresent);
+  if (presentVoters.length === 0 || presentVoters.some((m) => m.point === null)) return;
+
+  const results = revealVotes(room, "auto");
+  console.log(`[auto-reveal] Everyone voted in room ${roomId}. Average: ${results.average}`);
+}
+
+// Start (or restart) a round's countdown; whatever was cast is revealed when it hits zero
+function startCountdown(roomId, seconds) {
+  const endsAt = Date.now() + seconds * 1000;
+  db.scheduleTimer({ key: getCountdownKey(roomId), type: "countdown", roomId: roomId, dueAt: endsAt });
+
+  io.to(roomId).emit("countdown:started", {
+    endsAt: endsAt,
+    serverTime: Date.now(),
+    seconds: seconds,
+  });
+}
+
+// Reveal whatever was cast when a countdown timer runs out
+function revealOnCountdown({ roomId }) {
+  const room = db.getRoom(roomId);
+  if (!room || room.revealed) return;
+
+  const results = revealVotes(room, "countdown");
+  console.log(`[countdown] Time is up in room ${roomId}. Average: ${results.average}`);
+}
+
+// Stop a room's countdown, if one is running
+function clearCountdown(roomId) {
+  db.cancelTimer(getCountdownKey(roomId));
+}
+
+// When a room's countdown ends (milliseconds), or null if none is running
+function getCountdownEndsAt(roomId) {
+  return db.getTimer(getCountdownKey(roomId))?.dueAt ?? null;
+}
+
+function getCountdownKey(roomId) {
+  return `countdown:${roomId}`;
+}
+
+// ============== Authorization ==============
+
+// Room roles (room_members.room_role): the creator, promoted co-admins and everyone else
+const OWNER_ROOM_ROLE = "owner";
+const ADMIN_ROOM_ROLE = "admin";
+const MEMBER_ROOM_ROLE = "member";
+const ADMIN_ROOM_ROLES = [OWNER_ROOM_ROLE, ADMIN_ROOM_ROLE];
+
+// Admin-only actions, with the error shown to anyone else who tries them
+const ADMIN_ACTIONS = {
+  "votes:reveal": "Only the admin can reveal votes.",
+  "votes:reset": "Only the admin can reset votes.",
+  "room:extend": "Only the admin can extend the room.",
+  "member:promote": "Only an admin can promote members.",
+  "member:remove": "Only an admin can remove members.",
+  "estimate:set": "Only the admin can set the final estimate.",
+  "story:add": "Only the admin can add stories.",
+  "story:reorder": "Only the admin can reorder stories.",
+  "room:settings": "Only the admin can change the room settings.",
+  "countdown:start": "Only the admin can start the countdown.",
+  "room:rotateInvite": "Only the admin can rotate the invite link.",
+  "room:end": "Only the admin can end the session.",
+  "results:export": "Only the admin can export the results.",
+  "audit:view": "Only an admin can view the activity log.",
+};
+
+// Find the member behind a session. Roles come from the member record only, never from client data.
+function getSessionMember(session, room) {
+  if (!session?.id) return null;
+  return room.members.find((m) => m.sessionId === session.id) || null;
+}
+
+// Check admin powers: the room creator or a promoted co-admin
+function isRoomAdmin(session, room) {
+  const member = getSessionMember(session, room);
+  return Boolean(member && ADMIN_ROOM_ROLES.includes(member.roomRole));
+}
+
+// Check whether a session may perform an admin action; members' refused attempts go to the room's audit log
+function authorize(session, room, action, ip) {
+  return authorizeMember(getSessionMember(session, room), room, action, ip, session?.id);
+}
+
+// Check whether a member (null for a non-member) may perform an admin action, logging refusals.
+// Only members' refusals go to the room's audit log: anyone with the room's URL could fill it otherwise.
+function authorizeMember(member, room, action, ip, sessionId = member?.sessionId) {
+  if (member && ADMIN_ROOM_ROLES.includes(member.roomRole)) return true;
+
+  if (member) {
+    db.recordAuditEvent(room.id, {
+      type: "unauthorized",
+      actor: member.name,
+      sessionId: sessionId ?? null,
+      details: { action: action },
+    });
+  }
+
+  console.warn(`[auth] Refused ${action} in room ${room.id} for ${member?.name ?? "a non-member"} (${ip})`);
+  return false;
+}
+
+// Authorize an admin-only socket event, telling the client when it's refused
+function authorizeSocket(socket, room, action) {
+  if (authorize(socket.handshake.session, room, action, getSocketIp(socket))) return true;
+
+  socket.emit("room:error", { code: "NOT_AUTHORIZED", message: ADMIN_ACTIONS[action] });
+  return false;
+}
+
+// The creator's session holds the room's admin token (issued server-side on /register),
+// so a creator whose member record was removed gets the owner role back on rejoin
+function isRoomOwnerSession(session, room) {
+  return Boolean(room.adminToken) && session?.rooms?.[room.id]?.adminToken === room.adminToken;
+}
+
+// ============== Activity Log ==============
+
+// Add an entry to a room's activity log; member is whoever did it (null for the system)
+function logActivity(roomId, type, member, details) {
+  db.recordAuditEvent(roomId, {
+    type: type,
+    actor: member?.name ?? null,
+    sessionId: member?.sessionId ?? null,
+    details: details ?? null,
+  });
+}
+
+// A room's activity log for admins: votes never revealed to the room keep their values hidden
+function getActivityLog(roomId) {
+  return redactVotes(db.getAuditLog(roomId)).map((event) => ({
+    ...event,
+    summary: describeAuditEvent(event),
+  }));
+}
+
+// ============== Admin Handling ==============
+
+// Grant admin powers to a member and tell everyone (promotedBy is the admin's member, if any)
+function promoteMember(room, member, automatic, promotedBy) {
+  db.setMemberRoomRole(member.id, ADMIN_ROOM_ROLE);
+  logActivity(room.id, "promote", promotedBy ?? null, { member: member.name, automatic: automatic });
+
+  const freshRoom = db.getRoom(room.id);
+  io.to(room.id).emit("member:promoted", {
+    memberName: member.name,
+    automatic: automatic,
+    members: getSanitizedMembers(freshRoom),
+  });
+
+  console.log(`[admin] ${member.name} promoted to admin in room ${room.id}${automatic ? " (automatic handover)" : ""}`);
+}
+
+// When an admin disconnects, wait for the grace period. If no admin is connected by then,
+// the longest-connected member becomes admin so the room isn't left without one.
+// Uses the `handover:${roomId}:${sessionId}` key that room:join cancels on reconnection.
+function scheduleAdminHandover(roomId, sessionId) {
+  db.scheduleTimer({
+    key: `handover:${roomId}:${sessionId}`,
+    type: "admin-handover",
+    roomId: roomId,
+    sessionId: sessionId,
+    dueAt: Date.now() + DISCONNECT_GRACE_PERIOD_MS,
+  });
+}
+
+// Promote the longest-present member when no present admin is left
+function handOverAdmin(roomId) {
+  const room = db.getRoom(roomId);
+  if (!room) return;
+
+  const present = room.members.filter(isPresent);
+  if (present.some((m) => m.isAdmin)) return;
+
+  const successor = present
+    .slice()
+    .sort((a, b) => (a.connectedAt ?? a.joinedAt) - (b.connectedAt ?? b.joinedAt))[0];
+
+  if (successor) {
+    promoteMember(room, successor, true);
+  }
+}
+
+// ============== Member Removal ==============
+
+// Mark a member as disconnected, tell the room and start the grace periods: admin handover,
+// freeing the seat and, once nobody is left, closing the room
+function disconnectMember(roomId, member) {
+  db.updateMemberConnection(member.id, null, false);
+
+  const room = db.getRoom(roomId);
+  if (!room) return;
+
+  logActivity(roomId, "disconnect", member);
+  io.to(roomId).emit("room:memberDisconnected", {
+    memberName: member.name,
+    members: getSanitizedMembers(room),
+  });
+
+  console.log(`[disconnect] ${member.name} disconnected from room ${roomId}`);
+
+  // The missing vote may have been the one auto-reveal was waiting for
+  autoRevealIfReady(roomId);
+
+  // Hand admin powers over if the last connected admin stays gone
+  if (member.isAdmin) {
+    scheduleAdminHandover(roomId, member.sessionId);
+  }
+
+  // Free the seat if the member doesn't come back
+  scheduleMemberPrune(roomId, member.sessionId, member.id);
+
+  // Delete the room if no one reconnects in time (API members stay present)
+  if (!room.members.some(isPresent)) {
+    db.scheduleTimer({
+      key: `room:${roomId}`,
+      type: "room-empty",
+      roomId: roomId,
+      dueAt: Date.now() + DISCONNECT_GRACE_PERIOD_MS,
+    });
+  }
+}
+
+// Close a room whose members all stayed disconnected through the grace period
+function closeRoomIfEmpty({ roomId }) {
+  const room = db.getRoom(roomId);
+  if (!room || room.members.some(isPresent)) return;
+
+  db.deleteRoom(roomId);
+  clearCountdown(roomId);
+  console.log(`[disconnect] Room ${roomId} deleted (all members disconnected).`);
+}
+
+// Members of a process that stopped checking in (crashed or restarted) lost their socket
+// without a disconnect event. They get the usual time to reconnect, with the same role.
+function disconnectOrphanedMembers() {
+  for (const member of db.getOrphanedMembers(Date.now() - SERVER_TIMEOUT_MS)) {
+    disconnectMember(member.roomId, member);
+  }
+}
+
+// Delete a member, detach their socket from the room and tell everyone else.
+// reason is "left", "removed" (by an admin) or "timeout" (disconnected too long)
+function removeMemberFromRoom(roomId, member, reason) {
+  db.deleteMember(member.id);
+  cancelMemberPrune(roomId, member.sessionId);
+
+  // The socket stays connected but no longer belongs to the room. Without a socket, the room is
+  // dropped from the stored session instead (the creator keeps theirs, to get the owner role back).
+  if (member.socketId) {
+    detachSocket(member.socketId, roomId);
+  } else if (member.sessionId && member.roomRole !== OWNER_ROOM_ROLE) {
+    db.forgetSessionRoom(member.sessionId, roomId);
+  }
+
+  const room = db.getRoom(roomId);
+  if (!room) return;
+
+  io.to(roomId).emit("room:memberLeft", {
+    memberName: member.name,
+    reason: reason,
+    members: getSanitizedMembers(room),
+  });
+
+  // The member may have been the last vote auto-reveal was waiting for
+  autoRevealIfReady(roomId);
+}
+
+// Detach a socket from a room, in whichever process holds the socket
+function detachSocket(socketId, roomId) {
+  detachLocalSocket(socketId, roomId);
+  if (IS_CLUSTERED) {
+    io.serverSideEmit("socket:detach", socketId, roomId);
+  }
+}
+
+// Drop a room from one of this process' sockets and from its session
+function detachLocalSocket(socketId, roomId) {
+  const memberSocket = io.sockets.sockets.get(socketId);
+  if (!memberSocket) return;
+
+  memberSocket.leave(roomId);
+  memberSocket.roomId = null;
+  memberSocket.memberId = null;
+
+  const memberSession = memberSocket.handshake.session;
+  if (memberSession?.rooms?.[roomId]) {
+    delete memberSession.rooms[roomId];
+    memberSession.save((err) => {
+      if (err) {
+        console.error("[removeMember] Failed to save session:", err);
+      }
+    });
+  }
+}
+
+// Other processes ask this one to detach its sockets
+io.on("socket:detach", detachLocalSocket);
+
+// Remove a disconnected member once DISCONNECTED_MEMBER_TIMEOUT_MS passes without a reconnect
+function scheduleMemberPrune(roomId, sessionId, memberId) {
+  db.scheduleTimer({
+    key: `prune:${roomId}:${sessionId}`,
+    type: "member-prune",
+    roomId: roomId,
+    sessionId: sessionId,
+    memberId: memberId,
+    dueAt: Date.now() + DISCONNECTED_MEMBER_TIMEOUT_MS,
+  });
+}
+
+// Remove a member whose prune timer ran out, unless they came back
+function pruneDisconnectedMember({ roomId, memberId }) {
+  const member = db.getRoom(roomId)?.members.find((m) => m.id === memberId);
+  if (!member || member.connected) return;
+
+  logActivity(roomId, "leave", member, { reason: "timeout" });
+  removeMemberFromRoom(roomId, member, "timeout");
+  console.log(`[prune] ${member.name} removed from room ${roomId} after being disconnected.`);
+}
+
+// Cancel a pending prune (the member reconnected or is already gone)
+function cancelMemberPrune(roomId, sessionId) {
+  db.cancelTimer(`prune:${roomId}:${sessionId}`);
+}
+
+// ============== Timers ==============
+
+// Grace periods and countdowns are stored in the database, so they survive restarts and any
+// process can run them. Claiming a due timer deletes it, so each one runs exactly once.
+const TIMER_HANDLERS = {
+  "admin-handover": ({ roomId }) => handOverAdmin(roomId),
+  "member-prune": pruneDisconnectedMember,
+  "room-empty": closeRoomIfEmpty,
+  countdown: revealOnCountdown,
+};
+
+// Run the timers that are due
+function startTimerLoop() {
+  setInterval(() => {
+    let timers = [];
+    try {
+      timers = db.takeDueTimers();
+    } catch (error) {
+      console.error("[Timers] Error while claiming timers:", error);
+    }
+
+    for (const timer of timers) {
+      try {
+        TIMER_HANDLERS[timer.type]?.(timer);
+      } catch (error) {
+        console.error(`[Timers] Error in ${timer.type} timer ${timer.key}:`, error);
+      }
+    }
+  }, TIMER_POLL_INTERVAL_MS);
+}
+
 // ============== Helper Functions ==============
 
+// Helper function to render the create room form (with the user's input and an error)
+function renderCreateForm(res, form, error) {
+  res.render("new", {
+    layout: "layout",
+    decks: DECKS,
+    deckType: isDeckType(form.deckType) ? form.deckType : DEFAULT_DECK_TYPE,
+    specialCards: SPECIAL_CARDS,
+    durations: ROOM_DURATION_OPTIONS_MIN,
+    countdowns: COUNTDOWN_OPTIONS_SEC,
+    form: form,
+    error: error,
+  });
+}
+
+// Helper middleware to rate limit a route per client IP
+function rateLimit(limiter) {
+  return (req, res, next) => {
+    if (limiter.take(req.ip)) {
+      next();
+      return;
+    }
+
+    res.set("Retry-After", String(limiter.retryAfter(req.ip)));
+    res.status(429).send("Too many requests. Please wait a moment and try again.");
+  };
+}
+
+// Helper middleware to send a strict Content-Security-Policy. Every response gets a fresh nonce
+// (res.locals.cspNonce) and only scripts carrying it run, plus what they load themselves (ads)
+function contentSecurityPolicy(req, res, next) {
+  const nonce = randomBytes(16).toString("base64");
+  res.locals.cspNonce = nonce;
+
+  res.set(
+    "Content-Security-Policy",
+    [
+      "default-src 'self'",
+      `script-src 'nonce-${nonce}' 'strict-dynamic'`,
+      "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+      "font-src 'self' https://fonts.gstatic.com",
+      "img-src 'self' data: https:",
+      "connect-src 'self' https://*.googlesyndication.com https://*.doubleclick.net https://*.google.com",
+      "frame-src https://*.googlesyndication.com https://*.doubleclick.net https://*.google.com",
+      "object-src 'none'",
+      "base-uri 'none'",
+      "form-action 'self'",
+      "frame-ancestors 'none'",
+    ].join("; "),
+  );
+  next();
+}
+
+// Helper function to find a socket's client IP (honours one proxy hop, like Express' trust proxy setting)
+function getSocketIp(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (forwarded) {
+    const hops = forwarded.split(",").map((ip) => ip.trim());
+    return hops[hops.length - 1];
+  }
+  return socket.handshake.address;
+}
+
 // Helper function to sanitize room data for clients
 function getSanitizedRoom(room) {
   return {
@@ -685,6 +2370,33 @@ function getSanitizedRoom(room) {
     members: getSanitizedMembers(room),
     revealed: room.revealed,
     adminName: room.adminName,
+    expiresAt: room.expiresAt,
+    deckType: room.deckType,
+    deck: room.deck,
+    results: room.revealed ? getRevealResults(room) : null,
+    autoReveal: room.autoReveal,
+    countdownSeconds: room.countdownSeconds,
+    allowRevotes: room.allowRevotes,
+    countdownEndsAt: getCountdownEndsAt(room.id),
+    ...getSanitizedStories(room),
+    history: db.getRounds(room.id),
+  };
+}
+
+// Helper function to expose the backlog and the story being estimated
+function getSanitizedStories(room) {
+  return {
+    stories: room.stories.map((s) => ({
+      id: s.id,
+      title: s.title,
+      description: s.description,
+      status: s.status,
+      result: s.result,
+      estimate: s.estimate,
+    })),
+    currentStoryId: room.currentStoryId,
+    taskTitle: room.taskTitle,
+    taskDescription: room.taskDescription,
   };
 }
 
@@ -694,13 +2406,60 @@ function getSanitizedMembers(room) {
     name: m.name,
     hasVoted: m.point !== null,
     point: room.revealed ? m.point : null,
+    originalPoint: room.revealed ? m.revealedPoint : null,
     connected: m.connected,
+    isAdmin: m.isAdmin,
+    role: m.role,
+    source: m.source,
   }));
 }
 
+// Helper function to list members with their revealed votes (and the vote they had at the reveal)
+function getRevealedMembers(room) {
+  return room.members.map((m) => ({
+    name: m.name,
+    point: m.point,
+    originalPoint: m.revealedPoint,
+    hasVoted: m.point !== null,
+    role: m.role,
+  }));
+}
+
+// Helper function to summarize a revealed round (average, median, mode, spread, consensus...)
+function getRevealResults(room) {
+  return summarizeVotes(getVoters(room), room.deck);
+}
+
+// Helper function to list the members who vote (observers are left out)
+function getVoters(room) {
+  return room.members.filter((m) => m.role !== OBSERVER_ROLE);
+}
+
+// Helper function to check whether a member is in the room right now: connected over a socket, or joined
+// over the API (API members have no connection to lose)
+function isPresent(member) {
+  return member.connected || member.source === API_SOURCE;
+}
+
+// Helper function to check whether a room has a free seat for a role
+function hasCapacity(room, role) {
+  const count = room.members.filter((m) => m.role === role).length;
+  return count < (role === OBSERVER_ROLE ? MAX_OBSERVER_CAPACITY : MAX_ROOM_CAPACITY);
+}
+
+// Helper function to describe a full room
+function getCapacityError(role) {
+  return role === OBSERVER_ROLE
+    ? `Room is full. Maximum ${MAX_OBSERVER_CAPACITY} observers allowed.`
+    : `Room is full. Maximum ${MAX_ROOM_CAPACITY} voters allowed.`;
+}
+
 // Start the cleanup interval
 startCleanupInterval();
 
+// Run grace periods and countdowns as they come due
+startTimerLoop();
+
 // Start the server
 server.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { dirname, join } from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { io } from "socket.io-client";
+
+const PORT = Number(process.env.TEST_PORT) || 4099;
+const ORIGIN = `http://localhost:${PORT}`;
+const BASE = `${ORIGIN}/api/v1`;
+const GRACE_PERIOD_MS = 300;
+
+let server;
+let dataDir;
+
+// Start the server on its own database, and wait until it answers
+before(async () => {
+  dataDir = mkdtempSync(join(tmpdir(), "nostra-estima-test-"));
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: join(dirname(fileURLToPath(import.meta.url)), ".."),
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      DATABASE_PATH: join(dataDir, "app.db"),
+      DISCONNECT_GRACE_PERIOD_MS: String(GRACE_PERIOD_MS),
+      NODE_NO_WARNINGS: "1",
+    },
+    stdio: "ignore",
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${BASE}/rooms/none`);
+      return;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error("The server didn't start");
+});
+
+after(() => {
+  server?.kill();
+  rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Call the API; returns { status, body }
+async function api(method, path, body, token) {
+  const res = await fetch(`${BASE}${path}`, {
+    method,
+    headers: {
+      "content-type": "application/json",
+      ...(token ? { authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+}
+
+// Create a room over the API and join it with a second voter
+async function createRoomWithVoter(settings = {}) {
+  const created = await api("POST", "/rooms", { name: "Owner", taskTitle: "Login page", ...settings });
+  assert.equal(created.status, 201);
+
+  const { room, token, inviteCode } = created.body;
+  const joined = await api("POST", `/rooms/${room.id}/members`, { name: "Ann", invite: inviteCode });
+  assert.equal(joined.status, 201);
+
+  return { roomId: room.id, ownerToken: token, voterToken: joined.body.token };
+}
+
+// Create a room on the create form; returns the room id, the creator's cookie and the invite code
+async function createWebRoom() {
+  const res = await fetch(`${ORIGIN}/register`, {
+    method: "POST",
+    redirect: "manual",
+    headers: { "content-type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ name: "Web", taskTitle: "Login page" }),
+  });
+  const roomId = res.headers.get("location").split("/").pop();
+  const cookie = res.headers.get("set-cookie").split(";")[0];
+
+  const page = await (await fetch(`${ORIGIN}/play/${roomId}`, { headers: { cookie } })).text();
+  return { roomId, cookie, inviteCode: page.match(/invite=([\w-]+)/)[1] };
+}
+
+// Open the room in a "browser": a socket carrying the session cookie, resolved once it joined
+function connectWebMember(roomId, cookie) {
+  const socket = io(ORIGIN, { transports: ["websocket"], extraHeaders: { cookie } });
+  return new Promise((resolve, reject) => {
+    socket.once("room:joined", () => resolve(socket));
+    socket.once("room:error", reject);
+    socket.emit("room:join", { roomId });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("API members count as present voters", async () => {
+  const { roomId, ownerToken, voterToken } = await createRoomWithVoter();
+
+  await api("POST", `/rooms/${roomId}/votes`, { point: 5 }, voterToken);
+  const { body } = await api("GET", `/rooms/${roomId}`, null, ownerToken);
+
+  const ann = body.room.members.find((m) => m.name === "Ann");
+  assert.equal(ann.source, "api");
+  assert.equal(ann.hasVoted, true);
+});
+
+test("auto-reveal waits for every API voter", async () => {
+  const { roomId, ownerToken, voterToken } = await createRoomWithVoter({ autoReveal: true });
+
+  const first = await api("POST", `/rooms/${roomId}/votes`, { point: 3 }, ownerToken);
+  assert.equal(first.body.room.revealed, false);
+
+  const second = await api("POST", `/rooms/${roomId}/votes`, { point: 5 }, voterToken);
+  assert.equal(second.body.room.revealed, true);
+  assert.equal(second.body.room.results.average, "4.0");
+});
+
+test("rooms without auto-reveal wait for the admin", async () => {
+  const { roomId, ownerToken, voterToken } = await createRoomWithVoter();
+
+  await api("POST", `/rooms/${roomId}/votes`, { point: 3 }, ownerToken);
+  const voted = await api("POST", `/rooms/${roomId}/votes`, { point: 5 }, voterToken);
+  assert.equal(voted.body.room.revealed, false);
+
+  const refused = await api("POST", `/rooms/${roomId}/reveal`, null, voterToken);
+  assert.equal(refused.status, 403);
+
+  const revealed = await api("POST", `/rooms/${roomId}/reveal`, null, ownerToken);
+  assert.equal(revealed.body.room.revealed, true);
+});
+
+test("the room stays open for API members after the web members disconnect", async () => {
+  const { roomId, cookie, inviteCode } = await createWebRoom();
+  const socket = await connectWebMember(roomId, cookie);
+
+  const joined = await api("POST", `/rooms/${roomId}/members`, { name: "Ann", invite: inviteCode });
+  assert.equal(joined.status, 201);
+
+  socket.disconnect();
+  // Past the grace period, and the timer loop's next run
+  await sleep(GRACE_PERIOD_MS + 1500);
+
+  const { status, body } = await api("GET", `/rooms/${roomId}`, null, joined.body.token);
+  assert.equal(status, 200);
+  // The API member is the one left in the room, so admin powers go to them
+  assert.equal(body.member.isAdmin, true);
+  assert.equal(body.room.members.find((m) => m.name === "Web").connected, false);
+});
+
+test("a blank name doesn't join the room over the socket", async () => {
+  const { roomId, inviteCode } = await createWebRoom();
+  const socket = io(ORIGIN, { transports: ["websocket"] });
+
+  const reply = await new Promise((resolve) => {
+    socket.once("room:needsJoin", () => resolve("needsJoin"));
+    socket.once("room:joined", () => resolve("joined"));
+    socket.emit("room:join", { roomId, name: "   ", invite: inviteCode });
+  });
+  socket.disconnect();
+
+  assert.equal(reply, "needsJoin");
+});
+
+test("an API voter who leaves no longer holds up auto-reveal", async () => {
+  const { roomId, ownerToken, voterToken } = await createRoomWithVoter({ autoReveal: true });
+
+  await api("POST", `/rooms/${roomId}/votes`, { point: 3 }, ownerToken);
+  const left = await api("POST", `/rooms/${roomId}/leave`, null, voterToken);
+  assert.equal(left.status, 204);
+
+  const { body } = await api("GET", `/rooms/${roomId}`, null, ownerToken);
+  assert.equal(body.room.revealed, true);
+  assert.deepEqual(body.room.members.map((m) => m.name), ["Owner"]);
+
+  const afterLeaving = await api("GET", `/rooms/${roomId}`, null, voterToken);
+  assert.equal(afterLeaving.status, 401);
+});
+
+test("admins remove and ban API members", async () => {
+  const created = await api("POST", "/rooms", { name: "Owner", taskTitle: "Login page" });
+  const { room, token: ownerToken, inviteCode } = created.body;
+  const joined = await api("POST", `/rooms/${room.id}/members`, { name: "Ann", invite: inviteCode });
+
+  const refused = await api("DELETE", `/rooms/${room.id}/members/Owner`, null, joined.body.token);
+  assert.equal(refused.status, 403);
+
+  const admin = await api("DELETE", `/rooms/${room.id}/members/Owner`, null, ownerToken);
+  assert.equal(admin.body.code, "CANNOT_REMOVE_ADMIN");
+
+  const removed = await api("DELETE", `/rooms/${room.id}/members/Ann?ban=true`, null, ownerToken);
+  assert.equal(removed.status, 204);
+  assert.equal((await api("GET", `/rooms/${room.id}`, null, joined.body.token)).status, 401);
+
+  const rejoin = await api("POST", `/rooms/${room.id}/members`, { name: "Ann", invite: inviteCode });
+  assert.equal(rejoin.body.code, "BANNED");
+});
@@ -0,0 +1,45 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { auditLogToCsv, describeAuditEvent, redactVotes } from "../lib/audit.js";
+
+let nextId = 1;
+const event = (type, details = null, actor = "Ann") => ({ id: nextId++, type, actor, details, createdAt: 0 });
+
+test("redactVotes shows votes once their round is revealed", () => {
+  const events = [event("vote", { point: 3 }), event("vote_changed", { from: 3, point: 5 }), event("reveal", { trigger: "admin" })];
+
+  assert.deepEqual(redactVotes(events), events);
+});
+
+test("redactVotes hides votes of a round reset before its reveal", () => {
+  const hidden = event("vote", { point: 3 });
+  const redacted = redactVotes([hidden, event("reset"), event("vote", { point: 5 }), event("reveal", {})]);
+
+  assert.deepEqual(redacted[0].details, { hidden: true });
+  assert.deepEqual(redacted[2].details, { point: 5 });
+});
+
+test("redactVotes hides votes of the round still being voted on", () => {
+  const redacted = redactVotes([event("vote", { point: 3 }), event("reveal", {}), event("reset"), event("vote", { point: 8 })]);
+
+  assert.deepEqual(redacted.map((e) => e.details), [{ point: 3 }, {}, null, { hidden: true }]);
+});
+
+test("redactVotes keeps votes cast after the reveal", () => {
+  const redacted = redactVotes([event("reveal", {}), event("vote", { point: 13 })]);
+
+  assert.deepEqual(redacted[1].details, { point: 13 });
+});
+
+test("describeAuditEvent describes hidden votes and system events", () => {
+  assert.equal(describeAuditEvent(event("vote", { hidden: true })), "Ann voted (hidden until reveal)");
+  assert.equal(describeAuditEvent(event("vote_changed", { from: 3, point: 5 })), "Ann changed their vote from 3 to 5");
+  assert.equal(describeAuditEvent(event("reveal", { trigger: "auto", average: "4.0" }, null)), "System revealed the votes (everyone voted) (average: 4.0)");
+  assert.equal(describeAuditEvent(event("unauthorized", { action: "votes:reveal" })), "Ann was refused votes:reveal");
+});
+
+test("auditLogToCsv writes one row per event", () => {
+  const csv = auditLogToCsv([event("join", { role: "voter" }, "Ann, \"the PO\"")]);
+
+  assert.equal(csv, 'Time,Event,Actor,Description\r\n1970-01-01T00:00:00.000Z,join,"Ann, ""the PO""","Ann, ""the PO"" joined as voter"\r\n');
+});
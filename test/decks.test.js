@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DECKS, findCard, isDeckType, parseCustomDeck, resolveDeck, SPECIAL_CARDS } from "../lib/decks.js";
+
+test("parseCustomDeck reads values with optional emojis", () => {
+  assert.deepEqual(parseCustomDeck("1 🐜, 2 🐇, XL"), [
+    { value: 1, emoji: "🐜", label: "1" },
+    { value: 2, emoji: "🐇", label: "2" },
+    { value: "XL", emoji: "🎴", label: "XL" },
+  ]);
+});
+
+test("parseCustomDeck keeps decimals as numbers and skips empty entries", () => {
+  assert.deepEqual(
+    parseCustomDeck("0.5, , 1,").map((c) => c.value),
+    [0.5, 1],
+  );
+});
+
+test("parseCustomDeck uses a lone emoji as the card value", () => {
+  assert.deepEqual(parseCustomDeck("☕, 1").map((c) => c.value), ["☕", 1]);
+});
+
+test("parseCustomDeck rejects invalid decks", () => {
+  assert.equal(parseCustomDeck(undefined), null);
+  assert.equal(parseCustomDeck("1"), null, "fewer than 2 cards");
+  assert.equal(parseCustomDeck(Array.from({ length: 21 }, (_, i) => i).join(",")), null, "more than 20 cards");
+  assert.equal(parseCustomDeck("1, 2, 1"), null, "duplicate values");
+  assert.equal(parseCustomDeck("1, 2, <b>3</b>"), null, "markup");
+  assert.equal(parseCustomDeck("1, 2, thirteen-chars"), null, "values over 12 characters");
+});
+
+test("resolveDeck picks the default deck when no type is given", () => {
+  assert.deepEqual(resolveDeck(undefined), { type: "modified-fibonacci", cards: DECKS["modified-fibonacci"].cards });
+});
+
+test("resolveDeck resolves presets and custom decks", () => {
+  assert.equal(resolveDeck("t-shirt").cards, DECKS["t-shirt"].cards);
+  assert.deepEqual(resolveDeck("custom", "1, 2, 3").cards.map((c) => c.value), [1, 2, 3]);
+  assert.equal(resolveDeck("custom", "1"), null);
+});
+
+test("resolveDeck appends the special cards the deck doesn't have yet", () => {
+  const deck = resolveDeck("custom", "1, 2, ?", true);
+  assert.deepEqual(deck.cards.map((c) => c.value), [1, 2, "?", "☕", "∞"]);
+  assert.equal(resolveDeck("fibonacci", null, true).cards.length, DECKS.fibonacci.cards.length + SPECIAL_CARDS.length);
+});
+
+test("resolveDeck rejects unknown types, inherited keys included", () => {
+  for (const type of ["nope", "constructor", "toString", "__proto__", "hasOwnProperty"]) {
+    assert.equal(resolveDeck(type, null, false), null, type);
+    assert.equal(resolveDeck(type, null, true), null, type);
+    assert.equal(isDeckType(type), false, type);
+  }
+  assert.equal(isDeckType("custom"), true);
+  assert.equal(isDeckType("powers-of-two"), true);
+});
+
+test("findCard matches values exactly, type included", () => {
+  const cards = DECKS.fibonacci.cards;
+  assert.equal(findCard(cards, 5).value, 5);
+  assert.equal(findCard(cards, "5"), null);
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { DatabaseSync } from "node:sqlite";
+import { test } from "node:test";
+import { getMigrationStatus, migrate } from "../db/migrate.js";
+import { MIGRATIONS } from "../db/migrations.js";
+
+const createTable = (name) => (database) => database.exec(`CREATE TABLE ${name} (id INTEGER PRIMARY KEY)`);
+
+const MIGRATIONS_UNDER_TEST = [
+  { version: 1, name: "create_a", up: createTable("a") },
+  { version: 2, name: "create_b", up: createTable("b") },
+];
+
+const tableNames = (database) =>
+  database
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('a', 'b', 'c') ORDER BY name")
+    .all()
+    .map((row) => row.name);
+
+test("migrate applies pending migrations once, in order", () => {
+  const database = new DatabaseSync(":memory:");
+
+  assert.deepEqual(migrate(database, { migrations: MIGRATIONS_UNDER_TEST }).map((m) => m.version), [1, 2]);
+  assert.deepEqual(migrate(database, { migrations: MIGRATIONS_UNDER_TEST }), []);
+  assert.deepEqual(tableNames(database), ["a", "b"]);
+});
+
+test("migrate stops at the target version", () => {
+  const database = new DatabaseSync(":memory:");
+
+  migrate(database, { to: 1, migrations: MIGRATIONS_UNDER_TEST });
+  assert.deepEqual(tableNames(database), ["a"]);
+  assert.deepEqual(
+    getMigrationStatus(database, MIGRATIONS_UNDER_TEST).map((m) => m.state),
+    ["applied", "pending"],
+  );
+});
+
+test("a failing migration is rolled back and stops the run", () => {
+  const database = new DatabaseSync(":memory:");
+  const failing = {
+    version: 2,
+    name: "half_done",
+    up(db) {
+      createTable("c")(db);
+      throw new Error("boom");
+    },
+  };
+
+  const migrations = [MIGRATIONS_UNDER_TEST[0], failing, { version: 3, name: "create_b", up: createTable("b") }];
+
+  assert.throws(() => migrate(database, { migrations }), /Migration 2 \(half_done\) failed: boom/);
+  assert.deepEqual(tableNames(database), ["a"]);
+  assert.deepEqual(
+    getMigrationStatus(database, MIGRATIONS_UNDER_TEST).map((m) => m.state),
+    ["applied", "pending"],
+  );
+});
+
+test("getMigrationStatus reports versions the code doesn't know", () => {
+  const database = new DatabaseSync(":memory:");
+  migrate(database, { migrations: MIGRATIONS_UNDER_TEST });
+
+  const status = getMigrationStatus(database, MIGRATIONS_UNDER_TEST.slice(0, 1));
+  assert.deepEqual(
+    status.map((m) => [m.version, m.state]),
+    [[1, "applied"], [2, "unknown"]],
+  );
+});
+
+test("the app's migrations build a fresh database", () => {
+  const database = new DatabaseSync(":memory:");
+
+  assert.equal(migrate(database).length, MIGRATIONS.length);
+  assert.ok(getMigrationStatus(database).every((m) => m.state === "applied"));
+});
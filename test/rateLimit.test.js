@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, mock, test } from "node:test";
+import { createRateLimiter } from "../lib/rateLimit.js";
+
+beforeEach(() => mock.timers.enable({ apis: ["Date"], now: 0 }));
+afterEach(() => mock.timers.reset());
+
+test("a key may burst up to the bucket capacity", () => {
+  const limiter = createRateLimiter({ capacity: 3, refillPerSecond: 1 });
+
+  assert.deepEqual([1, 2, 3, 4].map(() => limiter.take("a")), [true, true, true, false]);
+  assert.equal(limiter.take("b"), true, "keys have their own buckets");
+});
+
+test("buckets refill over time, up to their capacity", () => {
+  const limiter = createRateLimiter({ capacity: 2, refillPerSecond: 0.5 });
+  limiter.take("a");
+  limiter.take("a");
+
+  assert.equal(limiter.retryAfter("a"), 2);
+  mock.timers.tick(1000);
+  assert.equal(limiter.take("a"), false);
+  mock.timers.tick(1000);
+  assert.equal(limiter.take("a"), true);
+
+  mock.timers.tick(60 * 1000);
+  assert.deepEqual([1, 2, 3].map(() => limiter.take("a")), [true, true, false]);
+});
+
+test("retryAfter is 0 for keys with tokens left", () => {
+  const limiter = createRateLimiter({ capacity: 2, refillPerSecond: 1 });
+
+  assert.equal(limiter.retryAfter("a"), 0);
+  limiter.take("a");
+  assert.equal(limiter.retryAfter("a"), 0);
+});
+
+test("removed and pruned keys start over with a full bucket", () => {
+  const limiter = createRateLimiter({ capacity: 1, refillPerSecond: 1 });
+  limiter.take("a");
+  limiter.take("b");
+
+  limiter.remove("a");
+  assert.equal(limiter.take("a"), true);
+
+  mock.timers.tick(1000);
+  limiter.prune();
+  assert.equal(limiter.retryAfter("b"), 0);
+  assert.equal(limiter.take("b"), true);
+});
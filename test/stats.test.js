@@ -0,0 +1,94 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { resolveDeck } from "../lib/decks.js";
+import { summarizeVotes } from "../lib/stats.js";
+
+const fibonacci = resolveDeck("modified-fibonacci", undefined, true).cards;
+const tShirt = resolveDeck("t-shirt", undefined, true).cards;
+
+// Members from [name, point] pairs (null = hasn't voted)
+const members = (...votes) => votes.map(([name, point]) => ({ name, point }));
+
+test("every vote on the same card is a consensus", () => {
+  const summary = summarizeVotes(members(["Ann", 5], ["Bob", 5]), fibonacci);
+
+  assert.equal(summary.consensus, true);
+  assert.deepEqual(summary.outliers, { low: [], high: [] });
+  assert.equal(summary.average, "5.0");
+  assert.equal(summary.median, 5);
+  assert.deepEqual(summary.mode, [5]);
+  assert.equal(summary.stdDev, 0);
+  assert.equal(summary.suggestedCard, 5);
+});
+
+test("estimates one card apart are a consensus, and ties suggest the bigger card", () => {
+  const summary = summarizeVotes(members(["Ann", 3], ["Bob", 5]), fibonacci);
+
+  assert.equal(summary.consensus, true);
+  assert.equal(summary.average, "4.0");
+  assert.equal(summary.median, 4);
+  assert.deepEqual(summary.mode, [3, 5]);
+  assert.equal(summary.suggestedCard, 5);
+});
+
+test("a spread of estimates names the lowest and highest voters as outliers", () => {
+  const summary = summarizeVotes(members(["Ann", 1], ["Bob", 5], ["Cid", 13], ["Dee", 13], ["Eve", null]), fibonacci);
+
+  assert.equal(summary.consensus, false);
+  assert.deepEqual(summary.outliers, { low: ["Ann"], high: ["Cid", "Dee"] });
+  assert.equal(summary.average, "8.0");
+  assert.equal(summary.median, 9);
+  assert.deepEqual(summary.mode, [13]);
+  assert.equal(summary.min, 1);
+  assert.equal(summary.max, 13);
+  assert.equal(summary.stdDev, 5.2);
+  assert.equal(summary.suggestedCard, 8);
+});
+
+test("special cards are counted apart from the statistics", () => {
+  const summary = summarizeVotes(members(["Ann", 3], ["Bob", 5], ["Cid", "?"], ["Dee", "∞"]), fibonacci);
+
+  assert.deepEqual(summary.specialVotes, { "?": 1, "∞": 1 });
+  assert.equal(summary.average, "4.0");
+  assert.deepEqual(summary.mode, [3, 5]);
+  assert.equal(summary.consensus, false, "? and ∞ block the consensus");
+  assert.deepEqual(summary.outliers, { low: ["Ann"], high: ["Bob"] });
+});
+
+test("a break request doesn't block the consensus", () => {
+  const summary = summarizeVotes(members(["Ann", 3], ["Bob", 3], ["Cid", "☕"]), fibonacci);
+
+  assert.equal(summary.consensus, true);
+  assert.equal(summary.breakRequested, false);
+});
+
+test("a break is suggested when half of the votes are ☕", () => {
+  assert.equal(summarizeVotes(members(["Ann", "☕"], ["Bob", 5]), fibonacci).breakRequested, true);
+
+  const allBreaks = summarizeVotes(members(["Ann", "☕"], ["Bob", "☕"]), fibonacci);
+  assert.equal(allBreaks.breakRequested, true);
+  assert.equal(allBreaks.average, null);
+  assert.equal(allBreaks.suggestedCard, null);
+});
+
+test("non-numeric decks suggest the middle estimate", () => {
+  const summary = summarizeVotes(members(["Ann", "M"], ["Bob", "L"], ["Cid", "XXL"]), tShirt);
+
+  assert.equal(summary.average, null);
+  assert.equal(summary.median, null);
+  assert.equal(summary.min, null);
+  assert.equal(summary.suggestedCard, "L");
+  assert.equal(summary.consensus, false);
+  assert.deepEqual(summary.outliers, { low: ["Ann"], high: ["Cid"] });
+});
+
+test("a round without votes has no statistics", () => {
+  const summary = summarizeVotes(members(["Ann", null]), fibonacci);
+
+  assert.equal(summary.consensus, false);
+  assert.deepEqual(summary.outliers, { low: [], high: [] });
+  assert.deepEqual(summary.mode, []);
+  assert.equal(summary.average, null);
+  assert.equal(summary.suggestedCard, null);
+  assert.equal(summary.breakRequested, false);
+});
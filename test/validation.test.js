@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { API_SCHEMAS, EVENT_SCHEMAS, REGISTER_SCHEMA, validatePayload } from "../lib/validation.js";
+
+test("validatePayload accepts valid payloads and ignores unknown keys", () => {
+  assert.equal(validatePayload(EVENT_SCHEMAS["vote:submit"], { roomId: "abc", point: 5, extra: true }), null);
+  assert.equal(validatePayload(EVENT_SCHEMAS["vote:submit"], { roomId: "abc", point: "XL" }), null);
+  assert.equal(validatePayload(EVENT_SCHEMAS["member:remove"], { roomId: "abc", memberName: "Ann", ban: null }), null);
+});
+
+test("validatePayload rejects payloads that aren't objects", () => {
+  for (const payload of [null, "abc", 42, ["abc"]]) {
+    assert.equal(validatePayload(EVENT_SCHEMAS["votes:reveal"], payload).code, "INVALID_PAYLOAD");
+  }
+});
+
+test("validatePayload treats blank strings as missing", () => {
+  assert.deepEqual(validatePayload(REGISTER_SCHEMA, { name: "   ", taskTitle: "Login page" }), {
+    code: "VALUE_REQUIRED",
+    field: "name",
+    message: "Your name is required.",
+  });
+  assert.equal(validatePayload(REGISTER_SCHEMA, { name: "Ann", taskTitle: "Login page", passcode: "  " }), null);
+});
+
+test("validatePayload checks field types", () => {
+  const wrongType = validatePayload(EVENT_SCHEMAS["room:extend"], { roomId: "abc", minutes: "15" });
+  assert.equal(wrongType.code, "INVALID_PAYLOAD");
+  assert.equal(wrongType.field, "minutes");
+
+  assert.equal(validatePayload(EVENT_SCHEMAS["room:extend"], { roomId: "abc", minutes: NaN }).code, "INVALID_PAYLOAD");
+  assert.equal(validatePayload(EVENT_SCHEMAS["vote:submit"], { roomId: "abc", point: {} }).code, "INVALID_PAYLOAD");
+  assert.equal(validatePayload(EVENT_SCHEMAS["vote:submit"], { roomId: "abc", point: "x".repeat(17) }).code, "INVALID_PAYLOAD");
+  assert.equal(validatePayload(EVENT_SCHEMAS["story:reorder"], { roomId: "abc", storyIds: [1, 2] }).code, "INVALID_PAYLOAD");
+});
+
+test("validatePayload enforces maximum lengths", () => {
+  assert.deepEqual(validatePayload(REGISTER_SCHEMA, { name: "x".repeat(31), taskTitle: "Login page" }), {
+    code: "VALUE_TOO_LONG",
+    field: "name",
+    message: "Your name must be at most 30 characters.",
+  });
+});
+
+test("the create form and the API share the room settings limits", () => {
+  const tooLong = { name: "Ann", taskTitle: "Login page", customDeck: "1, ".repeat(200) };
+
+  assert.equal(validatePayload(REGISTER_SCHEMA, tooLong).code, "VALUE_TOO_LONG");
+  assert.equal(validatePayload(API_SCHEMAS.createRoom, tooLong).code, "VALUE_TOO_LONG");
+  for (const field of ["deckType", "customDeck", "passcode"]) {
+    assert.equal(API_SCHEMAS.createRoom[field], REGISTER_SCHEMA[field]);
+  }
+});